@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { OTT_EVENT_TYPES, createMarketingCloudClient } = require('../lib/marketingCloud');
+const { DEFAULT_TENANT, loadTenants } = require('../lib/tenants');
+
+// --- ENS Admin CLI ---
+// Manage the Marketing Cloud ENS callback and subscriptions from the command
+// line. Reads the same MC_* settings as the app (see .env.example), or with
+// --tenant the marketingCloud settings of a tenant from TENANTS_FILE / TENANTS.
+//
+//   npm run ens -- <command> [arguments] [--option value]
+
+const USAGE = `Usage: npm run ens -- <command> [arguments] [options]
+
+Commands:
+  token                                      Check the Marketing Cloud credentials
+  callbacks list                             List ENS callbacks
+  callbacks register [--url URL] [--name N]  Register a callback (URL defaults to ENS_CALLBACK_URL)
+  callbacks verify <callbackId> <key>        Verify a callback with the key sent to /ens/callback
+                                             (GET /api/admin/ens/verification-key on the app)
+  callbacks delete <callbackId>              Delete a callback
+  subscriptions list <callbackId>            List a callback's subscriptions
+  subscriptions create <callbackId> [--name N] [--types T1,T2]
+                                             Subscribe to event types (default: all OTT event types)
+  subscriptions pause <name>                 Pause a subscription
+  subscriptions resume <name>                Resume a paused subscription
+  subscriptions delete <name>                Delete a subscription
+
+Options:
+  --tenant ID                                Act for a tenant from TENANTS_FILE / TENANTS (default: the default tenant)`;
+
+// Options that take no value
+const FLAGS = ['help'];
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            if (FLAGS.includes(name)) {
+                options[name] = true;
+            } else {
+                options[name] = argv[i + 1];
+                i++;
+            }
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional, options };
+}
+
+function required(value, name) {
+    if (!value) {
+        throw Object.assign(new Error(`Missing ${name}\n\n${USAGE}`), { usage: true });
+    }
+    return value;
+}
+
+function print(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+async function run(argv) {
+    const { positional, options } = parseArgs(argv);
+    const [group, action, ...args] = positional;
+
+    if (!group || group === 'help' || options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const tenantId = options.tenant || DEFAULT_TENANT;
+    const tenant = loadTenants().tenants.find(t => t.id === tenantId);
+    if (!tenant) {
+        throw new Error(`Unknown tenant "${tenantId}"`);
+    }
+    const mc = createMarketingCloudClient(tenant.env);
+    // ENS_CALLBACK_URL is the default tenant's callback; tenants are served below it
+    const defaultCallbackUrl = process.env.ENS_CALLBACK_URL &&
+        (tenantId === DEFAULT_TENANT ? process.env.ENS_CALLBACK_URL : `${process.env.ENS_CALLBACK_URL.replace(/\/+$/, '')}/${tenantId}`);
+
+    if (group === 'token') {
+        const token = await mc.getToken();
+        console.log(`✅ Authenticated with Marketing Cloud (REST base URL ${token.restBaseUrl})`);
+        return;
+    }
+
+    if (group === 'callbacks') {
+        switch (action) {
+            case 'list':
+                return print(await mc.listCallbacks());
+            case 'register': {
+                const url = required(options.url || defaultCallbackUrl, '--url (or ENS_CALLBACK_URL)');
+                const tenantFlag = tenantId === DEFAULT_TENANT ? '' : ` --tenant ${tenantId}`;
+                const callback = await mc.registerCallback({ name: options.name || 'WhatsApp ENS Monitor', url });
+                print(callback);
+                console.log(`\n✅ Registered callback ${callback.callbackId}`);
+                console.log('Next steps:');
+                console.log(tenantId === DEFAULT_TENANT
+                    ? `  1. heroku config:set ENS_SIGNATURE_KEY="${callback.signatureKey}"`
+                    : `  1. Set ensSignatureKey of tenant ${tenantId} to "${callback.signatureKey}" and restart the app`);
+                console.log('  2. Marketing Cloud sends a verification request to the callback URL. With MC_* set on the app it is');
+                console.log(`     verified automatically; otherwise get the key from GET /api/admin/ens/verification-key${tenantId === DEFAULT_TENANT ? '' : `?tenant=${tenantId}`}`);
+                console.log(`     (as an operator) and run: npm run ens -- callbacks verify ${callback.callbackId} <verificationKey>${tenantFlag}`);
+                console.log(`  3. npm run ens -- subscriptions create ${callback.callbackId}${tenantFlag}`);
+                return;
+            }
+            case 'verify':
+                print(await mc.verifyCallback(required(args[0], 'callbackId'), required(args[1], 'verification key')));
+                console.log('✅ Callback verified');
+                return;
+            case 'delete':
+                print(await mc.deleteCallback(required(args[0], 'callbackId')));
+                console.log('🗑️  Callback deleted');
+                return;
+            default:
+                throw Object.assign(new Error(`Unknown callbacks command "${action || ''}"\n\n${USAGE}`), { usage: true });
+        }
+    }
+
+    if (group === 'subscriptions') {
+        switch (action) {
+            case 'list':
+                return print(await mc.listSubscriptions(required(args[0], 'callbackId')));
+            case 'create': {
+                const eventCategoryTypes = options.types ? options.types.split(',').map(t => t.trim()).filter(Boolean) : OTT_EVENT_TYPES;
+                print(await mc.createSubscription({
+                    name: options.name || 'WhatsApp ENS Monitor',
+                    callbackId: required(args[0], 'callbackId'),
+                    eventCategoryTypes
+                }));
+                console.log(`✅ Subscribed to ${eventCategoryTypes.length} event type(s)`);
+                return;
+            }
+            case 'pause':
+            case 'resume':
+                print(await mc.setSubscriptionStatus(required(args[0], 'subscription name'), action === 'pause' ? 'paused' : 'active'));
+                console.log(action === 'pause' ? '⏸️  Subscription paused' : '▶️  Subscription resumed');
+                return;
+            case 'delete':
+                print(await mc.deleteSubscription(required(args[0], 'subscription name')));
+                console.log('🗑️  Subscription deleted');
+                return;
+            default:
+                throw Object.assign(new Error(`Unknown subscriptions command "${action || ''}"\n\n${USAGE}`), { usage: true });
+        }
+    }
+
+    throw Object.assign(new Error(`Unknown command "${group}"\n\n${USAGE}`), { usage: true });
+}
+
+run(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(error.usage ? 2 : 1);
+});
@@ -1,50 +1,330 @@
 require('dotenv').config();
 const express = require('express');
 const crypto = require('crypto');
+const path = require('path');
 const jsforce = require('jsforce');
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const { EventEmitter } = require('events');
+const { createEventStore } = require('./lib/eventStore');
+const { createRetryQueue, isTransientFailure } = require('./lib/retryQueue');
+const { createDeduplicator } = require('./lib/dedup');
+const { createKeyedLock } = require('./lib/lifecycle');
+const { loadFieldMapping } = require('./lib/fieldMapping');
+const { createAuth, hasRole, presentEvent } = require('./lib/auth');
+const { createRedactor, hashIdentifier } = require('./lib/redaction');
+const { listConversations, getConversation } = require('./lib/conversations');
+const { parseEventQuery, queryEvents, csvHeader, csvRow } = require('./lib/eventQuery');
+const { createMetrics } = require('./lib/metrics');
+const { createAlertManager } = require('./lib/alerts');
+const { parseWindow, computeAnalytics } = require('./lib/analytics');
+const { createSignatureVerifier, createRejectionLog } = require('./lib/signature');
+const { OTT_EVENT_TYPES, isMarketingCloudConfigured, createMarketingCloudClient } = require('./lib/marketingCloud');
+const { DEFAULT_TENANT, tenantOf, loadTenants } = require('./lib/tenants');
+const { loadSinks, initialSinkStates, sinkStatesOf, summarizeSinkStates } = require('./lib/sinks');
+const { createSalesforceBatchWriter } = require('./lib/salesforceBatch');
+const { createCustomerResolver } = require('./lib/customerResolution');
+const { loadKeywordRules } = require('./lib/keywords');
+const { createOptOutStore } = require('./lib/optOutStore');
+const { createIntakeJournal } = require('./lib/intakeJournal');
+const { isSalesforceConfigured, isSessionError, createSalesforceAuth } = require('./lib/salesforceAuth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // --- Configuration ---
+// Salesforce, ENS signature and Marketing Cloud settings are per tenant; see Tenants below
 const {
-    SF_INSTANCE_URL,
-    SF_CONSUMER_KEY,
-    SF_USERNAME,
-    PRIVATE_KEY,
-    ENS_SIGNATURE_KEY
+    SF_RETRY_MAX_ATTEMPTS,
+    SF_RETRY_BASE_DELAY_MS,
+    SF_RETRY_MAX_DELAY_MS,
+    SF_BATCH_WINDOW_MS,
+    SF_BATCH_SIZE,
+    SF_BATCH_CONCURRENCY,
+    SF_SESSION_TTL_MINUTES,
+    DEDUP_WINDOW_MINUTES,
+    METRICS_TOKEN,
+    MC_AUTO_VERIFY,
+    INTAKE_JOURNAL,
+    INTAKE_JOURNAL_DIR,
+    INTAKE_JOURNAL_MAX_ATTEMPTS,
+    SHUTDOWN_TIMEOUT_MS
 } = process.env;
 
-// Check if Salesforce integration is enabled
-const SALESFORCE_ENABLED = SF_INSTANCE_URL && SF_CONSUMER_KEY && SF_USERNAME && PRIVATE_KEY;
+// --- Tenants ---
+// The flat ENS_SIGNATURE_KEY / SF_* / SF_MAPPING_FILE / MC_* settings are the "default"
+// tenant on /ens/callback; TENANTS_FILE or TENANTS add business units on /ens/callback/:tenant,
+// each with its own signature keys, Salesforce org and field mapping. See lib/tenants.js
+let tenantConfig;
+try {
+    tenantConfig = loadTenants();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
 
-if (SALESFORCE_ENABLED) {
-    console.log('✅ Salesforce integration enabled');
-} else {
-    console.log('⚠️  Salesforce integration disabled - running in monitoring-only mode');
-    console.log('   Events will be logged and displayed in the dashboard but not sent to Salesforce');
+// Log prefix identifying a tenant; the default tenant keeps the single-tenant messages
+function tenantLabel(tenantId) {
+    return tenantId === DEFAULT_TENANT ? '' : `[${tenantId}] `;
 }
 
-// --- In-Memory Event Storage ---
-const recentEvents = [];
-const MAX_EVENTS = 100;
+function setUpTenant({ id, name, env }) {
+    const label = tenantLabel(id);
+    const salesforceEnabled = isSalesforceConfigured(env);
+    const tenant = {
+        id,
+        name,
+        label,
+        env,
+        callbackPath: id === DEFAULT_TENANT ? '/ens/callback' : `/ens/callback/${id}`,
+        salesforceEnabled,
+        // Optionally also sync outbound Sent/Delivered/Read/Failed events to Salesforce
+        lifecycleSyncEnabled: salesforceEnabled && env.SF_SYNC_LIFECYCLE === 'true',
+        // ENS_SIGNATURE_KEY (comma-separated during key rotation) and ENS_SIGNATURE_MODE; see lib/signature.js
+        signatureVerifier: createSignatureVerifier(env),
+        // Older keys that have verified a request, so the rotation reminder is logged once per key
+        rotationKeysSeen: new Set(),
+        // Which object and fields each event type is written to; see lib/fieldMapping.js
+        fieldMapping: loadFieldMapping(env.SF_MAPPING_FILE),
+        // Optional client for registering/verifying the callback and managing subscriptions; see lib/marketingCloud.js
+        marketingCloud: isMarketingCloudConfigured(env) ? createMarketingCloudClient(env) : null,
+        // JWT bearer or client credentials login to the tenant's org; see lib/salesforceAuth.js
+        salesforceAuth: salesforceEnabled ? createSalesforceAuth(env) : null,
+        // Created in the Salesforce Connection Cache section
+        sfConnectionCache: null,
+        sfBatchWriter: null
+    };
+    tenant.autoVerify = !!tenant.marketingCloud && MC_AUTO_VERIFY !== 'false';
 
-function storeEvent(event, status) {
-    // Convert Unix timestamp (seconds or milliseconds) to ISO string
-    let timestamp;
-    if (event.timestampUTC) {
-        // If timestamp is in seconds (< year 3000 in milliseconds), convert to milliseconds
-        const ts = event.timestampUTC < 10000000000 ? event.timestampUTC * 1000 : event.timestampUTC;
-        timestamp = new Date(ts).toISOString();
+    if (id !== DEFAULT_TENANT) {
+        console.log(`🏢 Tenant ${id} (${name}) on ${tenant.callbackPath}`);
+    }
+    if (salesforceEnabled) {
+        const { flow, loginUrl, loginUrlGuessed } = tenant.salesforceAuth;
+        console.log(`✅ ${label}Salesforce integration enabled (${flow} login at ${loginUrl})`);
+        if (loginUrlGuessed) {
+            console.warn(`⚠️  ${label}SF_LOGIN_URL not set - ${loginUrl} was guessed from SF_INSTANCE_URL`);
+        }
+        if (tenant.lifecycleSyncEnabled) {
+            console.log(`✅ ${label}Outbound message lifecycle sync enabled`);
+        }
+    } else {
+        console.log(`⚠️  ${label}Salesforce integration disabled - running in monitoring-only mode`);
+        console.log('   Events will be logged and displayed in the dashboard but not sent to Salesforce');
+    }
+    const verifier = tenant.signatureVerifier;
+    if (!verifier.keyCount) {
+        console.warn(`⚠️  ${label}ENS_SIGNATURE_KEY not set - ENS events will ${verifier.mode === 'strict' ? 'be rejected' : 'be processed unverified'} until it is`);
     } else {
-        timestamp = new Date().toISOString();
+        console.log(`✅ ${label}ENS signature verification enabled (${verifier.keyCount} key(s), ${verifier.mode} mode)`);
+    }
+    if (tenant.marketingCloud) {
+        console.log(`✅ ${label}Marketing Cloud ENS management enabled${tenant.autoVerify ? ' (callbacks verified automatically)' : ''}`);
+    }
+    console.log(`✅ ${label}Salesforce field mapping loaded from ${tenant.fieldMapping.source} (${tenant.fieldMapping.eventTypes.length} event type(s))`);
+    return tenant;
+}
+
+const tenants = new Map();
+for (const definition of tenantConfig.tenants) {
+    try {
+        tenants.set(definition.id, setUpTenant(definition));
+    } catch (error) {
+        console.error(`❌ ${tenantLabel(definition.id)}${error.message}`);
+        process.exit(1);
+    }
+}
+if (tenantConfig.source) {
+    console.log(`✅ ${tenants.size - 1} additional tenant(s) loaded from ${tenantConfig.source}`);
+}
+const defaultTenant = tenants.get(DEFAULT_TENANT);
+
+// The tenant a stored event was received for (removed tenants resolve to undefined)
+function tenantFor(storedEvent) {
+    return tenants.get(tenantOf(storedEvent));
+}
+
+// Plain description of a tenant for /health and the dashboard
+function describeTenant(tenant) {
+    return {
+        id: tenant.id,
+        name: tenant.name,
+        callbackPath: tenant.callbackPath,
+        salesforce: tenant.salesforceEnabled,
+        lifecycleSync: tenant.lifecycleSyncEnabled,
+        signature: { mode: tenant.signatureVerifier.mode, keys: tenant.signatureVerifier.keyCount },
+        fieldMapping: { source: tenant.fieldMapping.source, eventTypes: tenant.fieldMapping.eventTypes },
+        marketingCloud: !!tenant.marketingCloud,
+        salesforceAuth: tenant.sfConnectionCache ? tenant.sfConnectionCache.describe() : null,
+        salesforceWrites: describeSalesforceWrites(tenant)
+    };
+}
+
+// ?tenant= narrows conversations, analytics and audit lists to one tenant; throws 404 for unknown tenants
+function parseTenantParam(value) {
+    if (!value || value === 'all') {
+        return null;
+    }
+    if (!tenants.has(value)) {
+        throw Object.assign(new Error(`Unknown tenant "${value}"`), { statusCode: 404 });
+    }
+    return value;
+}
+
+function eventsForTenant(events, tenantId) {
+    return tenantId ? events.filter(e => tenantOf(e) === tenantId) : events;
+}
+
+// --- ENS Signature Failures ---
+// Failed verifications across all tenants, for the dashboard audit list
+const rejectionLog = createRejectionLog();
+
+// --- Marketing Cloud ENS Management ---
+// The latest verification key received on each tenant's callback route. The route is
+// unauthenticated, so only one key per tenant is kept, and only for an hour
+const VERIFICATION_KEY_TTL_MS = 60 * 60 * 1000;
+const verificationKeys = new Map();
+
+// { callbackId, verificationKey, receivedAt } or null
+function receivedVerificationKey(tenantId) {
+    const received = verificationKeys.get(tenantId);
+    if (received && Date.now() - Date.parse(received.receivedAt) < VERIFICATION_KEY_TTL_MS) {
+        return received;
+    }
+    verificationKeys.delete(tenantId);
+    return null;
+}
+
+// --- Dashboard Authentication ---
+// AUTH_MODE=none|basic|session|oidc; see lib/auth.js
+let auth;
+try {
+    auth = createAuth();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+if (auth.mode === 'none') {
+    console.log('⚠️  Dashboard authentication disabled (AUTH_MODE=none) - do not expose customer data publicly');
+} else {
+    console.log(`✅ Dashboard authentication enabled (${auth.mode})`);
+}
+
+// --- PII Redaction ---
+// Separate mask/hash/drop rules for logs, the API/dashboard, Salesforce and output sinks; see lib/redaction.js
+let redactor;
+try {
+    redactor = createRedactor();
+    console.log(`✅ Redaction policy loaded from ${redactor.source}`);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// How a stored event is shown to a user through the API, stream and dashboard
+function viewEvent(storedEvent, user) {
+    return presentEvent(redactor.redactStoredEvent(storedEvent, 'api'), user);
+}
+
+// --- Output Sinks ---
+// Where processed events are delivered (SINKS_FILE / SINKS); see lib/sinks.js
+let sinkConfig;
+try {
+    sinkConfig = loadSinks();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+const sinks = new Map(sinkConfig.sinks.map(sink => [sink.name, sink]));
+console.log(`✅ Output sinks loaded from ${sinkConfig.source}: ${sinkConfig.sinks.map(sink => `${sink.name} (${sink.type})`).join(', ')}`);
+
+// Deliveries since startup, for /health
+const sinkStats = new Map(sinkConfig.sinks.map(sink => [sink.name, { delivered: 0, failed: 0, lastDeliveredAt: null, lastError: null }]));
+
+function describeSink(sink) {
+    return Object.assign({
+        name: sink.name,
+        type: sink.type,
+        label: sink.label,
+        eventTypes: sink.eventTypes
+    }, sinkStats.get(sink.name));
+}
+
+// --- Event Storage ---
+// Backend is selected with EVENT_STORE (memory, file or postgres); see lib/eventStore.js
+// Opt-outs are kept in their own store with the same backend, so event
+// retention does not forget them; see lib/optOutStore.js
+let eventStore;
+let optOutStore;
+try {
+    eventStore = createEventStore();
+    optOutStore = createOptOutStore();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Opt-outs recorded before the opt-out store existed are only on the stored events
+async function seedOptOuts() {
+    if (await optOutStore.count()) {
+        return;
+    }
+    const events = await eventStore.list();
+    for (const storedEvent of events.slice().reverse()) {
+        await optOutStore.record(storedEvent);
     }
+}
+
+// --- Intake Journal ---
+// Payloads are on disk before ENS gets its 200 and are processed again after a
+// crash or an unfinished shutdown; INTAKE_JOURNAL=false turns this off. See lib/intakeJournal.js
+const intakeJournal = INTAKE_JOURNAL === 'false'
+    ? null
+    : createIntakeJournal({
+        dir: INTAKE_JOURNAL_DIR || path.join(process.cwd(), 'data', 'journal'),
+        maxAttempts: Number(INTAKE_JOURNAL_MAX_ATTEMPTS) || 5
+    });
+
+// Payloads (and retries) being processed, so a shutdown can wait for them
+const inFlight = new Set();
+let shuttingDown = false;
+
+function track(promise) {
+    inFlight.add(promise);
+    promise.finally(() => inFlight.delete(promise)).catch(() => {});
+    return promise;
+}
+
+// Emits 'stored' for every new event and 'updated' for every status change,
+// feeding the live dashboard stream
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(0);
+
+// Convert Unix timestamp (seconds or milliseconds) to ISO string. A missing or
+// unreadable timestamp becomes the time the event is stored; the raw value stays in the payload
+function toIsoTimestamp(timestampUTC) {
+    const now = new Date().toISOString();
+    if (!timestampUTC) {
+        return now;
+    }
+    // If timestamp is in seconds (< year 3000 in milliseconds), convert to milliseconds
+    const ts = timestampUTC < 10000000000 ? timestampUTC * 1000 : timestampUTC;
+    const date = new Date(ts);
+    if (Number.isNaN(date.getTime())) {
+        console.warn(`⚠️  Unreadable event timestamp ${String(JSON.stringify(timestampUTC)).slice(0, 64)} - using the time it was received`);
+        return now;
+    }
+    return date.toISOString();
+}
+
+async function storeEvent(tenant, event, status, details = {}, eventId = crypto.randomUUID()) {
+    const timestamp = toIsoTimestamp(event.timestampUTC);
     
     const storedEvent = {
+        eventId,
+        tenant: tenant.id,
         id: event.messageId || event.messageKey || `event-${Date.now()}`,
         timestamp: timestamp,
+        storedAt: new Date().toISOString(),
         eventType: event.eventCategoryType || 'Unknown',
         mobileNumber: event.mobileNumber || 'N/A',
         contactKey: event.contactKey || 'N/A',
@@ -56,128 +336,835 @@ function storeEvent(event, status) {
         status: status,
         payload: event
     };
+    Object.assign(storedEvent, details);
     
-    recentEvents.unshift(storedEvent);
-    
-    // Keep only last MAX_EVENTS
-    if (recentEvents.length > MAX_EVENTS) {
-        recentEvents.pop();
+    try {
+        await eventStore.add(storedEvent);
+    } catch (error) {
+        // The payload stays in the intake journal and is processed again on the next start
+        console.error(`❌ Failed to store event in ${eventStore.type} store:`, error.message);
+        throw error;
     }
-    
-    console.log(`✅ Event stored in memory. Total events: ${recentEvents.length}`);
+    const count = await eventStore.count();
+    console.log(`✅ Event stored (${eventStore.type}). Total events: ${count}`);
+    eventBus.emit('stored', storedEvent, { type: eventStore.type, count });
     
     return storedEvent;
 }
 
-// --- Salesforce Connection Cache ---
-const sfConnectionCache = {
-    conn: null,
-    expires: 0,
-    async getConnection() {
-        if (this.conn && Date.now() < this.expires) {
-            return this.conn;
+// Listeners get { statusChanged } so metrics and alerts count an event once per status,
+// not again for every keyword action or sink detail recorded on it
+async function updateStoredEvent(eventId, changes) {
+    let previousStatus;
+    if ('status' in changes) {
+        // Read before updating - the memory store updates the same object in place
+        const current = await eventStore.get(eventId);
+        previousStatus = current ? current.status : undefined;
+    }
+    const updated = await eventStore.update(eventId, changes);
+    if (updated) {
+        eventBus.emit('updated', updated, { statusChanged: 'status' in changes && previousStatus !== updated.status });
+    }
+    return updated;
+}
+
+// --- Redelivery Deduplication ---
+// Window defaults to 60 minutes; DEDUP_WINDOW_MINUTES=0 turns deduplication off
+const deduplicator = createDeduplicator({
+    windowMs: (DEDUP_WINDOW_MINUTES === undefined || DEDUP_WINDOW_MINUTES === '' ? 60 : Number(DEDUP_WINDOW_MINUTES)) * 60 * 1000
+});
+
+// Remember events already in a durable store so redeliveries across a restart are caught
+async function seedDeduplicator() {
+    const events = await eventStore.list();
+    for (const storedEvent of events.slice().reverse()) {
+        if (storedEvent.status !== 'duplicate') {
+            deduplicator.confirm(storedEvent.payload, storedEvent.eventId, Date.parse(storedEvent.storedAt));
         }
+    }
+}
 
-        console.log('Authenticating with Salesforce...');
-        
-        try {
-            // Step 1: Create JWT claims
-            // Note: aud must be https://login.salesforce.com or https://test.salesforce.com
-            const isProduction = !SF_INSTANCE_URL.includes('sandbox') && !SF_INSTANCE_URL.includes('test');
-            const audience = isProduction ? 'https://login.salesforce.com' : 'https://test.salesforce.com';
-            
-            const jwtPayload = {
-                iss: SF_CONSUMER_KEY,           // Issuer (Consumer Key)
-                sub: SF_USERNAME,                // Subject (Username)
-                aud: audience,                   // Audience (login.salesforce.com or test.salesforce.com)
-                exp: Math.floor(Date.now() / 1000) + (5 * 60) // Expires in 5 minutes
-            };
+// --- Metrics ---
+const metrics = createMetrics();
+const ensRequests = metrics.counter('ens_requests_total', 'ENS callback requests received', ['tenant']);
+const ensVerificationCallbacks = metrics.counter('ens_verification_callbacks_total', 'ENS callback verification requests received', ['tenant']);
+const ensSignatureFailures = metrics.counter('ens_signature_failures_total', 'ENS callback requests rejected by signature verification', ['tenant', 'reason']);
+const eventsProcessed = metrics.counter('ens_events_processed_total', 'Events that reached a final status, by tenant, eventCategoryType and status', ['tenant', 'event_type', 'status']);
+const sfAuthDuration = metrics.histogram('salesforce_auth_duration_seconds', 'Time taken to authenticate with Salesforce', ['tenant', 'outcome']);
+const sfSessionErrors = metrics.counter('ens_salesforce_session_errors_total', 'Salesforce calls that found the session expired or revoked, by outcome of the retry after logging in again (recovered, failed)', ['tenant', 'outcome']);
+const sfWriteDuration = metrics.histogram('salesforce_write_duration_seconds', 'Time taken to write a record to Salesforce', ['tenant', 'event_type', 'outcome']);
+const sinkDeliveries = metrics.counter('ens_sink_deliveries_total', 'Delivery attempts to output sinks, by outcome (delivered, retrying, failed)', ['tenant', 'sink', 'outcome']);
+const keywordMatches = metrics.counter('ens_keyword_matches_total', 'Inbound messages matching a keyword rule', ['tenant', 'rule']);
+const keywordActions = metrics.counter('ens_keyword_actions_total', 'Keyword consent and reply action attempts, by outcome (done, skipped, retrying, failed)', ['tenant', 'rule', 'action', 'outcome']);
+metrics.gauge('ens_pending_retries', 'Sink deliveries and keyword consent actions waiting for a retry', () => retryQueue.pending());
+metrics.gauge('ens_stream_clients', 'Connected live dashboard streams', () => streamClients.size);
+metrics.gauge('ens_dedup_entries', 'ENS deliveries remembered for deduplication', () => deduplicator.size());
+metrics.gauge('ens_journal_pending', 'Acknowledged ENS payloads in the intake journal that are not processed yet', () => (intakeJournal ? intakeJournal.pending() : 0));
+metrics.gauge('ens_journal_quarantined', 'Intake journal payloads set aside after failing INTAKE_JOURNAL_MAX_ATTEMPTS times', () => (intakeJournal ? intakeJournal.stats().quarantined : 0));
 
-            // Step 2: Sign the JWT with the private key
-            const privateKey = PRIVATE_KEY.replace(/\\n/g, '\n');
-            const token = jwt.sign(jwtPayload, privateKey, { algorithm: 'RS256' });
-
-            // Step 3: Exchange JWT for access token
-            const tokenEndpoint = `${audience}/services/oauth2/token`;
-            
-            // Create form-urlencoded body
-            const formData = new URLSearchParams();
-            formData.append('grant_type', 'urn:ietf:params:oauth:grant-type:jwt-bearer');
-            formData.append('assertion', token);
-            
-            const response = await axios.post(tokenEndpoint, formData.toString(), {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            });
+// Retrying and processing are in-between states; everything else is where an event ended up
+const FINAL_STATUSES = new Set(['sent_to_salesforce', 'delivered', 'logged_only', 'failed', 'error', 'duplicate']);
+const countFinalStatus = storedEvent => {
+    if (FINAL_STATUSES.has(storedEvent.status)) {
+        eventsProcessed.inc({ tenant: tenantOf(storedEvent), event_type: storedEvent.eventType, status: storedEvent.status });
+    }
+};
+eventBus.on('stored', countFinalStatus);
+eventBus.on('updated', (storedEvent, { statusChanged }) => {
+    if (statusChanged) {
+        countFinalStatus(storedEvent);
+    }
+});
 
-            const { access_token, instance_url } = response.data;
+// --- Alerts ---
+// Optional threshold rules (ALERT_RULES_FILE / ALERT_RULES) notifying Slack, webhooks or email; see lib/alerts.js
+let alertManager;
+try {
+    alertManager = createAlertManager();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+if (alertManager) {
+    console.log(`✅ Alert rules loaded from ${alertManager.source}`);
+    eventBus.on('stored', storedEvent => alertManager.recordEvent(storedEvent, { isNew: true }));
+    eventBus.on('updated', (storedEvent, { statusChanged }) => {
+        if (statusChanged) {
+            alertManager.recordEvent(storedEvent);
+        }
+    });
+}
 
-            // Step 4: Initialize jsforce connection with access token
-            const newConn = new jsforce.Connection({
-                instanceUrl: instance_url,
-                accessToken: access_token,
-                version: '59.0'
-            });
+// --- Salesforce Connection Cache ---
+// One per tenant with Salesforce enabled, each logging in to its own org. Sessions are
+// renewed after SF_SESSION_TTL_MINUTES (default 50; 0 keeps them until Salesforce
+// rejects them), and a call that finds its session expired or revoked logs in again
+// and is retried once.
+const sessionTtlMs = (SF_SESSION_TTL_MINUTES === undefined || SF_SESSION_TTL_MINUTES === '' ? 50 : Number(SF_SESSION_TTL_MINUTES)) * 60 * 1000;
+
+function createSalesforceConnectionCache(tenant) {
+    const { flow, loginUrl } = tenant.salesforceAuth;
+    return {
+        conn: null,
+        expires: 0,
+        loggingIn: null,
+        // Shown on /health and in the dashboard App Status panel
+        state: {
+            instanceUrl: null,
+            lastSuccessAt: null,
+            lastError: null,
+            lastErrorAt: null,
+            logins: 0,
+            loginFailures: 0,
+            sessionErrors: 0
+        },
+        // Only the connection that failed is dropped - a newer login may already have replaced it
+        invalidate(conn) {
+            if (!conn || conn === this.conn) {
+                this.conn = null;
+                this.expires = 0;
+            }
+        },
+        getConnection() {
+            if (this.conn && Date.now() < this.expires) {
+                return Promise.resolve(this.conn);
+            }
+            // Deliveries running side by side share one login
+            if (!this.loggingIn) {
+                this.loggingIn = this.login().finally(() => {
+                    this.loggingIn = null;
+                });
+            }
+            return this.loggingIn;
+        },
+        // Run fn(conn); if Salesforce rejects the session, log in again and run it once more.
+        // A call that already had its retry (e.g. a batch inside a delivery) is not retried again
+        async withConnection(fn) {
+            const conn = await this.getConnection();
+            try {
+                return await fn(conn);
+            } catch (error) {
+                if (!isSessionError(error) || error.sessionRetried) {
+                    throw error;
+                }
+                this.state.sessionErrors++;
+                console.warn(`🔑 ${tenant.label}Salesforce session rejected (${error.message}) - logging in again`);
+                this.invalidate(conn);
+            }
+            const fresh = await this.getConnection();
+            try {
+                const result = await fn(fresh);
+                sfSessionErrors.inc({ tenant: tenant.id, outcome: 'recovered' });
+                return result;
+            } catch (error) {
+                if (isSessionError(error)) {
+                    sfSessionErrors.inc({ tenant: tenant.id, outcome: 'failed' });
+                    this.invalidate(fresh);
+                    error.sessionRetried = true;
+                }
+                throw error;
+            }
+        },
+        async login() {
+            console.log(`${tenant.label}Authenticating with Salesforce...`);
+            const endTimer = sfAuthDuration.startTimer({ tenant: tenant.id });
 
-            this.conn = newConn;
-            // Re-authenticate 50 minutes from now (tokens typically last 2 hours)
-            this.expires = Date.now() + (50 * 60 * 1000);
-            console.log('Salesforce authentication successful.');
-            return this.conn;
+            try {
+                const { accessToken, instanceUrl } = await tenant.salesforceAuth.requestToken();
+                this.conn = new jsforce.Connection({
+                    instanceUrl,
+                    accessToken,
+                    version: '59.0'
+                });
+                this.expires = sessionTtlMs > 0 ? Date.now() + sessionTtlMs : Infinity;
+                Object.assign(this.state, { instanceUrl, lastSuccessAt: new Date().toISOString() });
+                this.state.logins++;
+                console.log(`${tenant.label}Salesforce authentication successful.`);
+                endTimer({ outcome: 'success' });
+                if (alertManager) {
+                    alertManager.recordAuthResult(null, tenant.id);
+                }
+                return this.conn;
 
-        } catch (error) {
-            console.error('Salesforce authentication failed:', error.message);
-            if (error.response) {
-                console.error('Response data:', error.response.data);
+            } catch (error) {
+                endTimer({ outcome: 'failure' });
+                Object.assign(this.state, { lastError: error.message, lastErrorAt: new Date().toISOString() });
+                this.state.loginFailures++;
+                if (alertManager) {
+                    alertManager.recordAuthResult(error, tenant.id);
+                }
+                console.error(`${tenant.label}Salesforce authentication failed:`, error.message);
+                throw error;
+            }
+        },
+        // status: authenticated, failing (the last login failed), expired (renewed on the next call) or not_authenticated
+        describe() {
+            const { lastSuccessAt, lastErrorAt } = this.state;
+            let status = 'not_authenticated';
+            if (lastErrorAt && (!lastSuccessAt || lastErrorAt > lastSuccessAt)) {
+                status = 'failing';
+            } else if (this.conn && Date.now() < this.expires) {
+                status = 'authenticated';
+            } else if (lastSuccessAt) {
+                status = 'expired';
             }
-            throw error;
+            return Object.assign({
+                status,
+                flow,
+                loginUrl,
+                expiresAt: this.conn && Number.isFinite(this.expires) ? new Date(this.expires).toISOString() : null
+            }, this.state);
         }
+    };
+}
+
+// Record writes are batched per org through the sObject Collections API; see lib/salesforceBatch.js
+for (const tenant of tenants.values()) {
+    if (tenant.salesforceEnabled) {
+        tenant.sfConnectionCache = createSalesforceConnectionCache(tenant);
+        tenant.sfBatchWriter = createSalesforceBatchWriter({
+            withConnection: fn => tenant.sfConnectionCache.withConnection(fn),
+            windowMs: SF_BATCH_WINDOW_MS === undefined || SF_BATCH_WINDOW_MS === '' ? 200 : Number(SF_BATCH_WINDOW_MS),
+            maxBatchSize: Number(SF_BATCH_SIZE) || 200,
+            concurrency: Number(SF_BATCH_CONCURRENCY) || 2
+        });
     }
-};
+}
+
+// --- Customer Resolution ---
+// Inbound messages written by a salesforce sink are matched to a Contact, Person
+// Account or Lead (SF_RESOLVE_CUSTOMERS), optionally with a Case; see lib/customerResolution.js
+let customerResolver;
+try {
+    customerResolver = createCustomerResolver();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+if (customerResolver) {
+    console.log(`✅ Customer resolution enabled: ${customerResolver.objects.join(', ')}${customerResolver.caseMode !== 'off' ? ` (Cases: ${customerResolver.caseMode})` : ''}`);
+}
+
+// --- Keyword Rules ---
+// STOP/HELP-style keywords in inbound messages (KEYWORD_RULES_FILE / KEYWORD_RULES)
+// record opt-outs, tag events, update consent fields and send replies; see lib/keywords.js
+let keywordRules;
+try {
+    keywordRules = loadKeywordRules();
+    if (keywordRules && keywordRules.actionTypes.has('consent') && !customerResolver) {
+        throw new Error(`Keyword rules (${keywordRules.source}) update consent fields, which needs SF_RESOLVE_CUSTOMERS=true to find the customer's record`);
+    }
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+if (keywordRules) {
+    console.log(`✅ Keyword rules loaded from ${keywordRules.source}: ${keywordRules.rules.join(', ')}`);
+}
+
+// Batch sizes and latency, and the org's API usage from the last Salesforce response
+function describeSalesforceWrites(tenant) {
+    if (!tenant.sfBatchWriter) {
+        return null;
+    }
+    const conn = tenant.sfConnectionCache.conn;
+    const apiUsage = conn && conn.limitInfo && conn.limitInfo.apiUsage;
+    return Object.assign(tenant.sfBatchWriter.stats(), {
+        apiUsage: apiUsage
+            ? { used: apiUsage.used, limit: apiUsage.limit, percent: Math.round((apiUsage.used / apiUsage.limit) * 1000) / 10 }
+            : null
+    });
+}
 
 // --- Middleware ---
+// Heroku terminates TLS at its router; trust it for req.secure and req.ip
+app.set('trust proxy', 1);
+
 app.use(express.json({
     verify: (req, res, buf) => {
         req.rawBody = buf;
     }
 }));
 
+// --- Login / Logout ---
+auth.routes(app, express);
+
 // --- Health Check Endpoint ---
 app.get('/', (req, res) => {
     res.redirect('/dashboard');
 });
 
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+    let storeStats;
+    try {
+        storeStats = await eventStore.stats();
+    } catch (error) {
+        storeStats = { type: eventStore.type, error: error.message };
+    }
+
     res.status(200).json({ 
         status: 'healthy', 
         service: 'ENS Handler',
         timestamp: new Date().toISOString(),
-        eventsInMemory: recentEvents.length
+        eventsStored: storeStats.count,
+        // Name used before the event store was pluggable; kept for existing monitors
+        eventsInMemory: storeStats.count,
+        eventStore: storeStats,
+        fieldMapping: { source: defaultTenant.fieldMapping.source, eventTypes: defaultTenant.fieldMapping.eventTypes },
+        pendingRetries: retryQueue.pending(),
+        salesforceAuth: defaultTenant.sfConnectionCache ? defaultTenant.sfConnectionCache.describe() : null,
+        salesforceWrites: describeSalesforceWrites(defaultTenant),
+        customerResolution: customerResolver ? customerResolver.stats() : null,
+        keywordRules: keywordRules ? { source: keywordRules.source, rules: keywordRules.rules } : null,
+        intakeJournal: intakeJournal ? intakeJournal.stats() : null,
+        inFlightPayloads: inFlight.size,
+        streamClients: streamClients.size,
+        dedupEntries: deduplicator.size(),
+        signature: { mode: defaultTenant.signatureVerifier.mode, keys: defaultTenant.signatureVerifier.keyCount, failures: rejectionLog.total() },
+        alertsFiring: alertManager ? alertManager.status().filter(rule => rule.state === 'firing').map(rule => rule.name) : [],
+        tenants: Array.from(tenants.values()).map(describeTenant),
+        sinks: sinkConfig.sinks.map(describeSink)
     });
 });
 
+// --- Prometheus Metrics Endpoint ---
+// Open like /health unless METRICS_TOKEN is set, in which case scrapers send it as a bearer token
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN) {
+        const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+        const given = Buffer.from(req.header('authorization') || '');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized');
+        }
+    }
+    res.set('Content-Type', metrics.contentType).send(metrics.render());
+});
+
 // --- API Endpoint for Events ---
-app.get('/api/events', (req, res) => {
-    const eventType = req.query.type;
-    
-    console.log(`📊 API call to /api/events - Total events in memory: ${recentEvents.length}, Filter: ${eventType || 'all'}`);
+// Filters, time range, sort order and cursor pagination are described in lib/eventQuery.js
+app.get('/api/events', auth.requireRole('viewer'), async (req, res) => {
+    let criteria;
+    try {
+        criteria = parseEventQuery(req.query);
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ error: error.message });
+    }
     
-    let filteredEvents = recentEvents;
+    try {
+        const events = await eventStore.list();
+        const result = queryEvents(events, criteria, { hashValue: redactor.hashValue });
+        console.log(`📊 API call to /api/events - Total events in ${eventStore.type} store: ${events.length}, Matching: ${result.total}, Returned: ${result.events.length}`);
+        
+        res.json({
+            total: result.total,
+            count: result.events.length,
+            nextCursor: result.nextCursor,
+            store: { type: eventStore.type, count: events.length },
+            events: result.events.map(e => viewEvent(e, req.user))
+        });
+    } catch (error) {
+        console.error('Failed to read events from store:', error.message);
+        res.status(500).json({ error: 'Failed to read events from store' });
+    }
+});
+
+// --- Event Export ---
+// Every event matching the /api/events filters, as CSV or NDJSON, with the same redaction
+app.get('/api/events/export', auth.requireRole('viewer'), async (req, res) => {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (format !== 'csv' && format !== 'ndjson') {
+        return res.status(400).json({ error: '"format" must be csv or ndjson' });
+    }
+    let criteria;
+    try {
+        criteria = parseEventQuery(req.query, { paginate: false });
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ error: error.message });
+    }
     
-    // Filter by event type if specified
-    if (eventType && eventType !== 'all') {
-        filteredEvents = recentEvents.filter(e => e.eventType === eventType);
+    let result;
+    try {
+        result = queryEvents(await eventStore.list(), criteria, { hashValue: redactor.hashValue });
+    } catch (error) {
+        console.error('Failed to read events from store:', error.message);
+        return res.status(500).json({ error: 'Failed to read events from store' });
     }
+    console.log(`📤 Exporting ${result.total} events as ${format}`);
     
+    const filename = `ens-events-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    res.writeHead(200, {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+    });
+    if (format === 'csv') {
+        res.write(csvHeader());
+    }
+    for (const event of result.events) {
+        const presented = viewEvent(event, req.user);
+        const line = format === 'csv' ? csvRow(presented) : JSON.stringify(presented) + '\n';
+        // Respect backpressure so large exports do not pile up in memory
+        if (!res.write(line)) {
+            await new Promise(resolve => {
+                const done = () => {
+                    res.off('drain', done);
+                    res.off('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
+            });
+        }
+        if (res.destroyed) {
+            return;
+        }
+    }
+    res.end();
+});
+
+// --- Live Event Stream (Server-Sent Events) ---
+const streamClients = new Set();
+
+app.get('/api/events/stream', auth.requireRole('viewer'), (req, res) => {
+    const eventType = req.query.type;
+    let tenantId;
+    try {
+        tenantId = parseTenantParam(req.query.tenant);
+    } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    const inTenant = event => !tenantId || tenantOf(event) === tenantId;
+    const matches = event => inTenant(event) && (!eventType || eventType === 'all' || event.eventType === eventType);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    // Reconnect quickly after a dropped connection
+    res.write('retry: 3000\n\n');
+
+    const send = (name, data) => {
+        res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const onStored = (event, store) => {
+        if (matches(event)) {
+            send('stored', { event: viewEvent(event, req.user), store });
+        } else {
+            send('count', { store });
+        }
+    };
+    const onUpdated = event => {
+        if (matches(event)) {
+            send('updated', { event: viewEvent(event, req.user) });
+        }
+    };
+    const onRejected = (entry, total) => {
+        if (!tenantId || entry.tenant === tenantId) {
+            send('rejected', { entry, total: tenantId ? rejectionLog.total(tenantId) : total });
+        }
+    };
+
+    // Heroku's router closes connections that stay idle for 55 seconds
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+    eventBus.on('stored', onStored);
+    eventBus.on('updated', onUpdated);
+    eventBus.on('rejected', onRejected);
+    streamClients.add(res);
+    console.log(`📡 Dashboard stream connected. Clients: ${streamClients.size}`);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventBus.off('stored', onStored);
+        eventBus.off('updated', onUpdated);
+        eventBus.off('rejected', onRejected);
+        streamClients.delete(res);
+        console.log(`📡 Dashboard stream disconnected. Clients: ${streamClients.size}`);
+    });
+});
+
+// --- Conversations API ---
+// Threads are identified by a keyed hash of their mobile number (or contactKey). Without
+// REDACTION_HASH_KEY the key is made at startup, so IDs change on restart but a viewer
+// cannot turn one back into a number by hashing guesses
+const conversationIdKey = process.env.REDACTION_HASH_KEY || crypto.randomBytes(32);
+
+function conversationThreadId(value) {
+    return hashIdentifier(value, conversationIdKey);
+}
+
+function conversationOptions(user) {
+    return {
+        threadId: identity => conversationThreadId(identity.value),
+        present: event => viewEvent(event, user)
+    };
+}
+
+app.get('/api/conversations', auth.requireRole('viewer'), async (req, res) => {
+    try {
+        const events = eventsForTenant(await eventStore.list(), parseTenantParam(req.query.tenant));
+        const conversations = listConversations(events, conversationOptions(req.user));
+        res.json({
+            total: conversations.length,
+            conversations: conversations
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Failed to build conversations:', error.message);
+        res.status(500).json({ error: 'Failed to build conversations' });
+    }
+});
+
+// :mobile is a thread ID or, for operators (who see numbers unmasked), a mobile number
+// in any formatting or a contactKey
+app.get('/api/conversations/:mobile', auth.requireRole('viewer'), async (req, res) => {
+    const requested = req.params.mobile;
+    const byIdentifier = hasRole(req.user, 'operator');
+    try {
+        const events = eventsForTenant(await eventStore.list(), parseTenantParam(req.query.tenant));
+        const conversation = getConversation(events, Object.assign(conversationOptions(req.user), {
+            matches: (identity, id) => id === requested || (byIdentifier && id === conversationThreadId(requested))
+        }));
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.json({ conversation });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Failed to build conversation:', error.message);
+        res.status(500).json({ error: 'Failed to build conversation' });
+    }
+});
+
+// --- Opt-Outs ---
+// Numbers whose latest opt_out / opt_in keyword was an opt-out, newest first; supports ?tenant=
+app.get('/api/opt-outs', auth.requireRole('viewer'), async (req, res) => {
+    try {
+        const entries = eventsForTenant(await optOutStore.list(), parseTenantParam(req.query.tenant));
+        const optOuts = entries.map(entry => {
+            // Masked and redacted like the event the opt-out came from
+            const shown = viewEvent(entry, req.user);
+            return {
+                tenant: entry.tenant,
+                mobileNumber: shown.mobileNumber,
+                contactKey: shown.contactKey,
+                optedOutAt: entry.timestamp,
+                rule: entry.rule,
+                keyword: entry.keyword,
+                locale: entry.locale,
+                eventId: entry.eventId
+            };
+        });
+        res.json({ total: optOuts.length, optOuts });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Failed to list opt-outs:', error.message);
+        res.status(500).json({ error: 'Failed to list opt-outs' });
+    }
+});
+
+// --- Delivery Funnel Analytics ---
+// ?window=1h|24h|7d|30d|all (default 24h) or ?from=&to=, optionally ?sendMethod= and ?tenant=
+app.get('/api/analytics', auth.requireRole('viewer'), async (req, res) => {
+    let range;
+    let tenantId;
+    try {
+        range = parseWindow(req.query);
+        tenantId = parseTenantParam(req.query.tenant);
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ error: error.message });
+    }
+    try {
+        // Journeys, activities and failure reasons are shown as redacted for the user
+        const events = eventsForTenant(await eventStore.list(), tenantId).map(event => viewEvent(event, req.user));
+        res.json(computeAnalytics(events, range, { sendMethod: req.query.sendMethod }));
+    } catch (error) {
+        console.error('Failed to compute analytics:', error.message);
+        res.status(500).json({ error: 'Failed to compute analytics' });
+    }
+});
+
+// --- Signature Failure Audit ---
+// ?tenant= lists one tenant's failures; mode is "mixed" when the tenants shown differ
+app.get('/api/signature-failures', auth.requireRole('viewer'), (req, res) => {
+    let tenantId;
+    try {
+        tenantId = parseTenantParam(req.query.tenant);
+    } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    const verifiers = Array.from(tenants.values())
+        .filter(tenant => !tenantId || tenant.id === tenantId)
+        .map(tenant => tenant.signatureVerifier);
+    const modes = new Set(verifiers.map(verifier => verifier.mode));
+    res.json({
+        mode: modes.size === 1 ? verifiers[0].mode : 'mixed',
+        keys: verifiers.reduce((sum, verifier) => sum + verifier.keyCount, 0),
+        total: rejectionLog.total(tenantId),
+        entries: rejectionLog.list().filter(entry => !tenantId || entry.tenant === tenantId)
+    });
+});
+
+// --- Salesforce Auth API ---
+// Login state of each org, for the dashboard App Status panel
+app.get('/api/salesforce-auth', auth.requireRole('viewer'), (req, res) => {
+    let tenantId;
+    try {
+        tenantId = parseTenantParam(req.query.tenant);
+    } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.json({
+        tenants: Array.from(tenants.values())
+            .filter(tenant => tenant.sfConnectionCache && (!tenantId || tenant.id === tenantId))
+            .map(tenant => Object.assign({ tenant: tenant.id }, tenant.sfConnectionCache.describe()))
+    });
+});
+
+// --- Alerts API ---
+app.get('/api/alerts', auth.requireRole('viewer'), (req, res) => {
     res.json({
-        total: filteredEvents.length,
-        events: filteredEvents
+        enabled: !!alertManager,
+        source: alertManager ? alertManager.source : null,
+        rules: alertManager ? alertManager.status() : []
+    });
+});
+
+// --- Dead-Letter & Replay Endpoints ---
+app.get('/api/dead-letter', auth.requireRole('viewer'), async (req, res) => {
+    let tenantId;
+    try {
+        tenantId = parseTenantParam(req.query.tenant);
+    } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    try {
+        const events = eventsForTenant(await eventStore.list(), tenantId).filter(e => e.deadLetter);
+        res.json({
+            total: events.length,
+            events: events.map(e => viewEvent(e, req.user))
+        });
+    } catch (error) {
+        console.error('Failed to read events from store:', error.message);
+        res.status(500).json({ error: 'Failed to read events from store' });
+    }
+});
+
+// Bulk replay: { "eventIds": [...] }, or { "all": true } for every dead-lettered event (of
+// { "tenant": "..." } if given)
+app.post('/api/events/replay', auth.requireRole('operator'), auth.requireJson, async (req, res) => {
+    const eventIds = req.body.eventIds;
+    if (!Array.isArray(eventIds) && req.body.all !== true) {
+        return res.status(400).json({ error: 'Give the events to replay as "eventIds", or "all": true to replay every dead-lettered event' });
+    }
+    let tenantId;
+    try {
+        tenantId = parseTenantParam(req.body.tenant);
+    } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    try {
+        const targets = Array.isArray(eventIds)
+            ? eventIds
+            : eventsForTenant(await eventStore.list(), tenantId).filter(e => e.deadLetter).map(e => e.eventId);
+
+        // One at a time so a large replay does not burst the Salesforce API limits
+        const results = [];
+        for (const eventId of targets) {
+            try {
+                const replayed = await replayEvent(eventId);
+                results.push({ eventId, status: replayed.status });
+            } catch (error) {
+                results.push({ eventId, status: 'not_replayed', error: error.message });
+            }
+        }
+
+        res.json({
+            total: results.length,
+            results: results
+        });
+    } catch (error) {
+        console.error('Bulk replay failed:', error.message);
+        res.status(500).json({ error: 'Bulk replay failed' });
+    }
+});
+
+app.post('/api/events/:id/replay', auth.requireRole('operator'), auth.requireJson, async (req, res) => {
+    try {
+        const replayed = await replayEvent(req.params.id);
+        res.json({ event: replayed });
+    } catch (error) {
+        console.error(`Replay of event ${req.params.id} failed:`, error.message);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// --- Marketing Cloud ENS Admin API ---
+// Operators manage the ENS callback and its subscriptions without Postman.
+// ?tenant= selects the business unit (default: the default tenant).
+function marketingCloudRoute(handler) {
+    return async (req, res) => {
+        try {
+            const tenant = tenants.get(parseTenantParam(req.query.tenant) || DEFAULT_TENANT);
+            if (!tenant.marketingCloud) {
+                throw Object.assign(new Error(tenant.id === DEFAULT_TENANT
+                    ? 'Marketing Cloud API not configured - set MC_AUTH_BASE_URL, MC_CLIENT_ID and MC_CLIENT_SECRET'
+                    : `Marketing Cloud API not configured for tenant ${tenant.id} - add "marketingCloud" to its settings`), { statusCode: 409 });
+            }
+            res.json(await handler(req, tenant.marketingCloud, tenant));
+        } catch (error) {
+            console.error(`ENS admin ${req.method} ${req.path} failed:`, error.message);
+            res.status(error.statusCode || 500).json({ error: error.message });
+        }
+    };
+}
+
+app.get('/api/admin/ens/callbacks', auth.requireRole('operator'), marketingCloudRoute(async (req, marketingCloud) => {
+    return { callbacks: await marketingCloud.listCallbacks() };
+}));
+
+// { "name": "...", "url": "..." } - url defaults to this app's callback route for the tenant
+app.post('/api/admin/ens/callbacks', auth.requireRole('operator'), auth.requireJson, marketingCloudRoute(async (req, marketingCloud, tenant) => {
+    const body = req.body || {};
+    const callback = await marketingCloud.registerCallback({
+        name: body.name || 'WhatsApp ENS Monitor',
+        url: body.url || `${req.protocol}://${req.get('host')}${tenant.callbackPath}`,
+        maxBatchSize: body.maxBatchSize
     });
+    console.log(`🔗 ${tenant.label}Registered ENS callback ${callback.callbackId} - set ${tenant.id === DEFAULT_TENANT ? 'ENS_SIGNATURE_KEY' : 'the tenant ensSignatureKey'} to its signature key`);
+    return { callback };
+}));
+
+// { "verificationKey": "..." } - defaults to the key received on /ens/callback
+app.post('/api/admin/ens/callbacks/:id/verify', auth.requireRole('operator'), auth.requireJson, marketingCloudRoute(async (req, marketingCloud, tenant) => {
+    const received = receivedVerificationKey(tenant.id);
+    const receivedKey = received && (!received.callbackId || received.callbackId === req.params.id) ? received.verificationKey : null;
+    const verificationKey = (req.body && req.body.verificationKey) || receivedKey;
+    if (!verificationKey) {
+        throw Object.assign(new Error(`No verification key received for callback ${req.params.id} yet`), { statusCode: 400 });
+    }
+    return { result: await marketingCloud.verifyCallback(req.params.id, verificationKey) };
+}));
+
+// The key for verifying a callback by hand, e.g. in Postman; needs no Marketing Cloud API credentials
+app.get('/api/admin/ens/verification-key', auth.requireRole('operator'), (req, res) => {
+    let tenantId;
+    try {
+        tenantId = parseTenantParam(req.query.tenant) || DEFAULT_TENANT;
+    } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    const received = receivedVerificationKey(tenantId);
+    if (!received) {
+        return res.status(404).json({ error: 'No verification key received in the last hour' });
+    }
+    res.json(received);
 });
 
+app.delete('/api/admin/ens/callbacks/:id', auth.requireRole('operator'), auth.requireJson, marketingCloudRoute(async (req, marketingCloud) => {
+    return { result: await marketingCloud.deleteCallback(req.params.id) };
+}));
+
+app.get('/api/admin/ens/callbacks/:id/subscriptions', auth.requireRole('operator'), marketingCloudRoute(async (req, marketingCloud) => {
+    return { subscriptions: await marketingCloud.listSubscriptions(req.params.id) };
+}));
+
+// { "callbackId": "...", "name": "...", "eventCategoryTypes": [...] } - types default to every OTT event type
+app.post('/api/admin/ens/subscriptions', auth.requireRole('operator'), auth.requireJson, marketingCloudRoute(async (req, marketingCloud) => {
+    const body = req.body || {};
+    if (!body.callbackId) {
+        throw Object.assign(new Error('"callbackId" is required'), { statusCode: 400 });
+    }
+    const eventCategoryTypes = body.eventCategoryTypes || OTT_EVENT_TYPES;
+    if (!Array.isArray(eventCategoryTypes) || !eventCategoryTypes.length) {
+        throw Object.assign(new Error('"eventCategoryTypes" must be a non-empty list'), { statusCode: 400 });
+    }
+    return {
+        subscription: await marketingCloud.createSubscription({
+            name: body.name || 'WhatsApp ENS Monitor',
+            callbackId: body.callbackId,
+            eventCategoryTypes
+        })
+    };
+}));
+
+// { "status": "paused" | "active" }
+app.patch('/api/admin/ens/subscriptions/:name', auth.requireRole('operator'), auth.requireJson, marketingCloudRoute(async (req, marketingCloud) => {
+    const status = req.body && req.body.status;
+    if (status !== 'paused' && status !== 'active') {
+        throw Object.assign(new Error('"status" must be paused or active'), { statusCode: 400 });
+    }
+    return { subscription: await marketingCloud.setSubscriptionStatus(req.params.name, status) };
+}));
+
+app.delete('/api/admin/ens/subscriptions/:name', auth.requireRole('operator'), auth.requireJson, marketingCloudRoute(async (req, marketingCloud) => {
+    return { result: await marketingCloud.deleteSubscription(req.params.name) };
+}));
+
 // --- Dashboard UI ---
-app.get('/dashboard', (req, res) => {
+app.get('/dashboard', auth.requireRole('viewer'), (req, res) => {
+    // Tells the dashboard script what the signed-in user may do
+    const currentUser = JSON.stringify({
+        name: req.user.name,
+        role: req.user.role,
+        canReplay: hasRole(req.user, 'operator')
+    }).replace(/</g, '\\u003c');
+    const showUser = auth.mode !== 'none';
+    const canLogout = auth.mode === 'session' || auth.mode === 'oidc';
+    // Tenants for the switcher, which is only shown when there is more than one
+    const tenantList = Array.from(tenants.values()).map(tenant => ({ id: tenant.id, name: tenant.name }));
+    const tenantsJson = JSON.stringify(tenantList).replace(/</g, '\\u003c');
+    const sinkLabelsJson = JSON.stringify(Object.fromEntries(sinkConfig.sinks.map(sink => [sink.name, sink.label]))).replace(/</g, '\\u003c');
+
     // Disable caching to ensure latest version
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
@@ -233,22 +1220,50 @@ app.get('/dashboard', (req, res) => {
 <h1 class="text-3xl font-bold mb-1">WhatsApp ENS Monitor</h1>
 <p class="text-black/60 dark:text-white/60 mb-2">Real-time events from Marketing Cloud</p>
 <p class="text-sm text-black/60 dark:text-white/60 mb-10">Monitoring all event types</p>
+${tenantList.length > 1 ? `<div class="mb-6">
+<label for="tenantSwitcher" class="block text-sm text-black/70 dark:text-white/70 mb-2">Business Unit</label>
+<select id="tenantSwitcher" class="form-select block w-full px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90">
+<option value="all">All Business Units</option>
+</select>
+</div>` : ''}
+${showUser ? `<div class="flex items-center justify-between gap-2 mb-6 p-3 rounded-lg bg-black/5 dark:bg-black/20">
+<div class="flex items-center gap-2">
+<span class="material-symbols-outlined text-black/60 dark:text-white/60">account_circle</span>
+<p class="text-sm text-black/80 dark:text-white/80"><span id="userName"></span> <span class="text-black/50 dark:text-white/50">(<span id="userRole"></span>)</span></p>
+</div>
+${canLogout ? '<form method="post" action="/logout"><button class="text-sm text-black/60 dark:text-white/60 hover:text-primary">Sign out</button></form>' : ''}
+</div>` : ''}
 <div class="mt-auto space-y-4">
 <h2 class="text-lg font-bold text-black/90 dark:text-white/90">App Status</h2>
-<div class="flex items-center gap-4 p-4 rounded-lg bg-primary/10 dark:bg-primary/20">
+<div id="connStatus" class="flex items-center gap-4 p-4 rounded-lg bg-yellow-400/10 dark:bg-yellow-400/20">
 <div class="relative flex items-center justify-center">
-<span class="absolute inline-flex h-full w-full rounded-full bg-primary/50 animate-ping"></span>
-<span class="relative inline-flex rounded-full h-3 w-3 bg-primary"></span>
+<span id="connPing" class="absolute inline-flex h-full w-full rounded-full bg-yellow-400/50 animate-ping"></span>
+<span id="connDot" class="relative inline-flex rounded-full h-3 w-3 bg-yellow-400"></span>
 </div>
 <div>
-<p class="font-semibold text-black/90 dark:text-white/90">Online</p>
-<p class="text-sm text-black/60 dark:text-white/60">Active and listening for events</p>
+<p id="connLabel" class="font-semibold text-black/90 dark:text-white/90">Connecting</p>
+<p id="connDetail" class="text-sm text-black/60 dark:text-white/60">Opening live event stream...</p>
 </div>
 </div>
 <div class="p-4 rounded-lg bg-black/5 dark:bg-black/20">
-<p class="text-sm text-black/70 dark:text-white/70 mb-2">Events in Memory:</p>
+<p class="text-sm text-black/70 dark:text-white/70 mb-2">Events Stored (<span id="storeType">memory</span>):</p>
 <p id="eventCount" class="text-2xl font-bold text-primary">0</p>
 </div>
+<div class="p-4 rounded-lg bg-black/5 dark:bg-black/20">
+<p class="text-sm text-black/70 dark:text-white/70 mb-2">Salesforce Login:</p>
+<ul id="sfAuthList" class="space-y-2 text-xs text-black/60 dark:text-white/60">
+<li>Checking...</li>
+</ul>
+</div>
+<details id="rejectedPanel" class="p-4 rounded-lg bg-black/5 dark:bg-black/20">
+<summary class="flex items-center justify-between cursor-pointer list-none">
+<span class="text-sm text-black/70 dark:text-white/70">Rejected Callbacks (<span id="signatureMode">strict</span>):</span>
+<span id="rejectedCount" class="text-2xl font-bold text-primary">0</span>
+</summary>
+<ul id="rejectedList" class="mt-3 space-y-2 max-h-48 overflow-y-auto text-xs text-black/60 dark:text-white/60">
+<li>No rejected callbacks.</li>
+</ul>
+</details>
 <div class="flex items-center justify-center gap-2 mt-4">
 <p class="text-xs text-black/50 dark:text-white/50">Powered by</p>
 <img alt="Heroku" class="h-4 w-auto" src="https://image.s4.sfmc-content.com/lib/fe30117276640675771677/m/1/395e3e25-8f57-43d4-8f70-d1ad230c93ad.png"/>
@@ -257,13 +1272,18 @@ app.get('/dashboard', (req, res) => {
 </aside>
 <main class="w-2/3 p-6 flex flex-col">
 <div class="flex justify-between items-center mb-6 flex-shrink-0">
-<h2 class="text-2xl font-bold text-black/90 dark:text-white/90">Recent Events</h2>
+<h2 id="viewTitle" class="text-2xl font-bold text-black/90 dark:text-white/90">Recent Events</h2>
 <div class="flex items-center gap-3">
+<div id="viewTabs" class="flex rounded-lg overflow-hidden border-2 border-primary/20 dark:border-primary/30">
+<button data-view="events" class="px-3 py-2 flex items-center gap-1 text-black/90 dark:text-white/90 transition-colors"><span class="material-symbols-outlined">list</span><span>Events</span></button>
+<button data-view="conversations" class="px-3 py-2 flex items-center gap-1 text-black/90 dark:text-white/90 transition-colors"><span class="material-symbols-outlined">forum</span><span>Conversations</span></button>
+<button data-view="analytics" class="px-3 py-2 flex items-center gap-1 text-black/90 dark:text-white/90 transition-colors"><span class="material-symbols-outlined">insights</span><span>Analytics</span></button>
+</div>
 <button id="refreshBtn" class="px-4 py-2 bg-primary/20 hover:bg-primary/30 rounded-lg flex items-center gap-2 text-black/90 dark:text-white/90 transition-colors">
 <span class="material-symbols-outlined">refresh</span>
 <span>Refresh</span>
 </button>
-<div class="relative">
+<div id="eventFilterWrapper" class="relative">
 <select id="eventFilter" class="form-select appearance-none block w-full pl-3 pr-10 py-2 text-base border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary sm:text-sm text-black/90 dark:text-white/90">
 <option value="all">All Event Types</option>
 <option value="EngagementEvents.OttMobileOriginated">Inbound Messages</option>
@@ -278,21 +1298,91 @@ app.get('/dashboard', (req, res) => {
 </div>
 </div>
 </div>
-<div id="errorMessage" class="hidden p-4 mb-4 bg-red-500/20 border-2 border-red-500/50 rounded-lg flex-shrink-0">
-<p class="text-red-400 text-sm"></p>
-</div>
+<form id="searchBar" class="grid grid-cols-4 gap-2 mb-4 flex-shrink-0">
+<select id="searchStatus" class="form-select px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90">
+<option value="">Any Status</option>
+<option value="sent_to_salesforce">Sent to Salesforce</option>
+<option value="delivered">Delivered (other outputs)</option>
+<option value="logged_only">Logged Only</option>
+<option value="processing,retrying">Processing / Retrying</option>
+<option value="failed,error">Failed</option>
+<option value="duplicate">Duplicate</option>
+</select>
+<input id="searchMobile" type="search" placeholder="Mobile number" class="form-input px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90"/>
+<input id="searchContactKey" type="search" placeholder="Contact key" class="form-input px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90"/>
+<input id="searchJourney" type="search" placeholder="Journey name" class="form-input px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90"/>
+<input id="searchSendMethod" type="search" placeholder="Send method" class="form-input px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90"/>
+<input id="searchReason" type="search" placeholder="Failure reason" class="form-input px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90"/>
+<input id="searchFrom" type="datetime-local" title="From" class="form-input px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90"/>
+<input id="searchTo" type="datetime-local" title="To" class="form-input px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90"/>
+<select id="searchSort" class="form-select px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90">
+<option value="desc">Newest first</option>
+<option value="asc">Oldest first</option>
+</select>
+<button type="submit" class="px-3 py-2 bg-primary/20 hover:bg-primary/30 rounded-lg flex items-center justify-center gap-2 text-sm text-black/90 dark:text-white/90 transition-colors">
+<span class="material-symbols-outlined">search</span>
+<span>Search</span>
+</button>
+<button type="button" id="searchClear" class="px-3 py-2 bg-black/5 dark:bg-black/20 hover:bg-primary/20 rounded-lg text-sm text-black/70 dark:text-white/70 transition-colors">Clear</button>
+<div class="flex gap-2">
+<a id="exportCsv" href="/api/events/export?format=csv" class="flex-1 px-3 py-2 bg-black/5 dark:bg-black/20 hover:bg-primary/20 rounded-lg flex items-center justify-center gap-1 text-sm text-black/70 dark:text-white/70 transition-colors"><span class="material-symbols-outlined text-base">download</span>CSV</a>
+<a id="exportNdjson" href="/api/events/export?format=ndjson" class="flex-1 px-3 py-2 bg-black/5 dark:bg-black/20 hover:bg-primary/20 rounded-lg flex items-center justify-center gap-1 text-sm text-black/70 dark:text-white/70 transition-colors"><span class="material-symbols-outlined text-base">download</span>NDJSON</a>
+</div>
+</form>
+<div id="errorMessage" class="hidden p-4 mb-4 bg-red-500/20 border-2 border-red-500/50 rounded-lg flex-shrink-0">
+<p class="text-red-400 text-sm"></p>
+</div>
 <div id="eventsContainer" class="flex-1 overflow-y-auto pr-2" style="min-height: 0;">
 <div class="grid grid-cols-1 gap-4" id="eventsGrid">
 <div class="p-8 text-center text-black/40 dark:text-white/40">
 <p>No events yet. Send a WhatsApp message to start seeing events.</p>
 </div>
 </div>
+<div class="hidden py-4 text-center" id="loadMoreWrapper">
+<button id="loadMoreBtn" class="px-4 py-2 bg-primary/20 hover:bg-primary/30 rounded-lg text-sm text-black/90 dark:text-white/90 transition-colors">Load more</button>
+<p id="resultSummary" class="mt-2 text-xs text-black/50 dark:text-white/50"></p>
+</div>
+<div class="hidden grid grid-cols-1 gap-4" id="conversationsGrid"></div>
+<div class="hidden space-y-6" id="analyticsPanel">
+<div class="flex items-center gap-3">
+<select id="analyticsWindow" class="form-select px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90">
+<option value="1h">Last hour</option>
+<option value="24h" selected>Last 24 hours</option>
+<option value="7d">Last 7 days</option>
+<option value="30d">Last 30 days</option>
+<option value="all">All stored events</option>
+</select>
+<select id="analyticsSendMethod" class="form-select px-3 py-2 text-sm border-primary/20 dark:border-primary/30 bg-background-light dark:bg-background-dark rounded-lg focus:outline-none focus:ring-primary focus:border-primary text-black/90 dark:text-white/90">
+<option value="">All send methods</option>
+</select>
+</div>
+<div id="analyticsContent"></div>
+</div>
 </main>
 </div>
 
 <script>
+const currentUser = ${currentUser};
+const tenants = ${tenantsJson};
+const sinkLabels = ${sinkLabelsJson}; // Output sink name -> label
 let currentFilter = 'all';
+let currentTenant = 'all'; // Tenant ID from the switcher, or 'all'
 let expandedEvents = new Set(); // Track which events are expanded
+let connectionState = 'connecting';
+let eventSource = null;
+let pollTimer = null;
+let currentView = 'events'; // 'events', 'conversations' or 'analytics'
+let currentThread = null; // Thread ID when a single conversation is open
+let conversationRefreshTimer = null;
+let analyticsRefreshTimer = null;
+let eventsRefreshTimer = null;
+let nextCursor = null; // Cursor for the next page of /api/events results
+
+// Text from ENS payloads and remote systems goes through this before it is put into innerHTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
 
 function getEventIcon(eventType) {
   const icons = {
@@ -316,10 +1406,105 @@ function getEventLabel(eventType) {
   return labels[eventType] || 'Unknown Event';
 }
 
+// Events stored before output sinks existed were only sent to Salesforce
+function getSinkStates(event) {
+  if (event.sinks) {
+    return event.sinks;
+  }
+  const legacy = { processing: 'pending', retrying: 'retrying', sent_to_salesforce: 'delivered', failed: 'failed' };
+  if (!legacy[event.status] && !(event.status === 'error' && event.deadLetter)) {
+    return {};
+  }
+  return {
+    salesforce: {
+      type: 'salesforce',
+      status: legacy[event.status] || 'error',
+      attempts: event.attempts,
+      lastError: event.lastError,
+      nextRetryAt: event.nextRetryAt
+    }
+  };
+}
+
+function getSinkLabel(name, state) {
+  return sinkLabels[name] || (state.type === 'salesforce' ? 'Salesforce' : name);
+}
+
+// One row per output sink: delivered, still being sent, or dead-lettered
+function renderSinkStatus(name, state) {
+  const label = getSinkLabel(name, state);
+  let html = '';
+  if (state.status === 'delivered') {
+    html += '<div class="flex items-center gap-2">';
+    html += '<input checked class="form-checkbox h-4 w-4 rounded text-primary bg-primary/20 border-primary/50" disabled type="checkbox"/>';
+    html += '<label class="text-sm text-black/80 dark:text-white/80">Sent to ' + label + '</label>';
+    html += '</div>';
+  } else if (state.status === 'pending' || state.status === 'retrying') {
+    html += '<div class="flex items-center gap-2 text-yellow-400">';
+    html += '<span class="material-symbols-outlined text-yellow-400">schedule</span>';
+    html += '<label class="text-sm">Sending to ' + label + (state.attempts ? ' - attempt ' + state.attempts + ' failed, retrying' + (state.nextRetryAt ? ' at ' + new Date(state.nextRetryAt).toLocaleTimeString() : '') : '') + '</label>';
+    html += '</div>';
+  } else {
+    html += '<div class="flex items-center gap-2 text-red-400">';
+    html += '<span class="material-symbols-outlined text-red-400">error</span>';
+    html += '<label class="text-sm">Not sent to ' + label + ' - dead-lettered after ' + state.attempts + ' attempt(s)</label>';
+    html += '</div>';
+    if (state.lastError) {
+      html += '<p class="text-xs text-red-400/80">' + escapeHtml(state.lastError) + '</p>';
+    }
+  }
+  return html;
+}
+
+// One row per action of the keyword rule an inbound message matched
+function renderKeywordActions(keyword) {
+  const labels = {
+    opt_out: 'Opt-out recorded',
+    opt_in: 'Opt-in recorded',
+    tag: 'Event tagged',
+    consent: 'Consent updated in Salesforce',
+    reply: 'Auto-reply sent'
+  };
+  let html = '';
+  keyword.actions.forEach(function(action) {
+    const label = labels[action.type] || action.type;
+    if (action.status === 'done') {
+      html += '<div class="flex items-center gap-2">';
+      html += '<input checked class="form-checkbox h-4 w-4 rounded text-primary bg-primary/20 border-primary/50" disabled type="checkbox"/>';
+      html += '<label class="text-sm text-black/80 dark:text-white/80">' + label + (action.detail ? ' - ' + escapeHtml(action.detail) : '') + '</label>';
+      html += '</div>';
+    } else if (action.status === 'pending') {
+      html += '<div class="flex items-center gap-2 text-yellow-400">';
+      html += '<span class="material-symbols-outlined text-yellow-400">schedule</span>';
+      html += '<label class="text-sm">' + label + ' - in progress</label>';
+      html += '</div>';
+    } else if (action.status === 'retrying') {
+      html += '<div class="flex items-center gap-2 text-yellow-400">';
+      html += '<span class="material-symbols-outlined text-yellow-400">schedule</span>';
+      html += '<label class="text-sm">' + label + ' - attempt ' + action.attempts + ' failed, retrying' + (action.nextRetryAt ? ' at ' + new Date(action.nextRetryAt).toLocaleTimeString() : '') + '</label>';
+      html += '</div>';
+    } else if (action.status === 'skipped') {
+      html += '<div class="flex items-center gap-2">';
+      html += '<input class="form-checkbox h-4 w-4 rounded text-gray-400 bg-gray-100 border-gray-300" disabled type="checkbox"/>';
+      html += '<label class="text-sm text-black/60 dark:text-white/60">' + label + ' - skipped (' + escapeHtml(action.detail) + ')</label>';
+      html += '</div>';
+    } else {
+      html += '<div class="flex items-center gap-2 text-red-400">';
+      html += '<span class="material-symbols-outlined text-red-400">error</span>';
+      html += '<label class="text-sm">' + label + ' - failed</label>';
+      html += '</div>';
+      if (action.error) {
+        html += '<p class="text-xs text-red-400/80">' + escapeHtml(action.error) + '</p>';
+      }
+    }
+  });
+  return html;
+}
+
 function getStatusCheckboxes(event) {
-  const isSentToSalesforce = event.status === 'sent_to_salesforce';
   const isError = event.status === 'error' || event.status === 'failed';
   const isLogged = event.status === 'logged_only';
+  const isDuplicate = event.status === 'duplicate';
   
   let html = '';
   html += '<div class="flex items-center gap-2">';
@@ -331,26 +1516,130 @@ function getStatusCheckboxes(event) {
   html += '<label class="text-sm text-black/80 dark:text-white/80">Event Processed</label>';
   html += '</div>';
   
-  if (isSentToSalesforce) {
-    html += '<div class="flex items-center gap-2">';
-    html += '<input checked class="form-checkbox h-4 w-4 rounded text-primary bg-primary/20 border-primary/50" disabled type="checkbox"/>';
-    html += '<label class="text-sm text-black/80 dark:text-white/80">Sent to Salesforce</label>';
+  if (isDuplicate) {
+    html += '<div class="flex items-center gap-2 text-yellow-400">';
+    html += '<span class="material-symbols-outlined text-yellow-400">content_copy</span>';
+    html += '<label class="text-sm">Duplicate ENS delivery - not processed again</label>';
     html += '</div>';
   } else if (isLogged) {
     html += '<div class="flex items-center gap-2">';
     html += '<input class="form-checkbox h-4 w-4 rounded text-gray-400 bg-gray-100 border-gray-300" disabled type="checkbox"/>';
-    html += '<label class="text-sm text-black/60 dark:text-white/60">Not Sent to Salesforce (logged only)</label>';
-    html += '</div>';
-  } else if (isError) {
-    html += '<div class="flex items-center gap-2 text-red-400">';
-    html += '<span class="material-symbols-outlined text-red-400">error</span>';
-    html += '<label class="text-sm">Error - Check Logs</label>';
+    html += '<label class="text-sm text-black/60 dark:text-white/60">Not Sent to Any Output (logged only)</label>';
     html += '</div>';
+  } else {
+    const states = getSinkStates(event);
+    const names = Object.keys(states);
+    if (!names.length) {
+      html += '<div class="flex items-center gap-2 text-red-400">';
+      html += '<span class="material-symbols-outlined text-red-400">error</span>';
+      html += '<label class="text-sm">Error - Check Logs</label>';
+      html += '</div>';
+    }
+    names.forEach(function(name) {
+      html += renderSinkStatus(name, states[name]);
+    });
+    if (isError && names.length && currentUser.canReplay) {
+      html += '<div class="flex items-center gap-2 text-red-400">';
+      html += '<button class="px-2 py-1 text-xs bg-red-500/20 hover:bg-red-500/30 rounded flex items-center gap-1" data-replay-id="' + event.eventId + '">';
+      html += '<span class="material-symbols-outlined text-sm">replay</span>Retry</button>';
+      html += '</div>';
+    }
   }
   
   return html;
 }
 
+// Matched record and, if one was linked, the Case - e.g. "Contact 003... (by mobile number), Case 500... (created)"
+function getCustomerLabel(customer) {
+  const objectLabels = { Contact: 'Contact', PersonAccount: 'Person Account', Lead: 'Lead' };
+  let label = (objectLabels[customer.object] || customer.object) + ' ' + customer.id + ' (by ' + (customer.matchedBy === 'contactKey' ? 'contact key' : 'mobile number') + ')';
+  if (customer.caseId) {
+    label += ', Case ' + customer.caseId + ' (' + customer.caseAction + ')';
+  }
+  return label;
+}
+
+function renderEventTile(event) {
+  const isExpanded = expandedEvents.has(event.eventId);
+  let html = '';
+  html += '<details class="group bg-background-light dark:bg-background-dark border-2 border-primary/20 dark:border-primary/30 rounded-lg overflow-hidden hover:bg-primary/10 dark:hover:bg-primary/20" data-event-id="' + event.eventId + '"' + (isExpanded ? ' open' : '') + '>';
+  html += '<summary class="flex items-center justify-between p-4 cursor-pointer">';
+  html += '<div class="flex-1 space-y-2">';
+  html += '<p class="text-sm text-black/60 dark:text-white/60">ID: ' + escapeHtml(event.id) + '</p>';
+  html += '<div class="flex items-center gap-2">';
+  html += getEventIcon(event.eventType);
+  html += '<p class="font-bold text-lg text-black/90 dark:text-white/90">' + getEventLabel(event.eventType) + '</p>';
+  if (tenants.length > 1) {
+    html += '<span class="px-2 py-0.5 text-xs rounded bg-primary/20 text-black/70 dark:text-white/70">' + getTenantName(event.tenant) + '</span>';
+  }
+  (event.tags || []).forEach(function(tag) {
+    html += '<span class="px-2 py-0.5 text-xs rounded bg-black/10 dark:bg-white/10 text-black/70 dark:text-white/70">#' + escapeHtml(tag) + '</span>';
+  });
+  // Inbound messages whose number matched no Contact, Person Account or Lead
+  if (event.customer && !event.customer.matched) {
+    html += '<span class="flex items-center gap-1 px-2 py-0.5 text-xs rounded bg-yellow-500/20 text-yellow-600 dark:text-yellow-400" title="No Contact, Person Account or Lead found for this number"><span class="material-symbols-outlined text-sm"> person_off </span>Unmatched number</span>';
+  }
+  html += '</div>';
+  html += '<p class="text-sm text-black/60 dark:text-white/60">Timestamp: ' + new Date(event.timestamp).toLocaleString() + '</p>';
+  html += '<p class="text-sm text-black/60 dark:text-white/60">Mobile: ' + escapeHtml(event.mobileNumber) + '</p>';
+  if (event.journeyName) {
+    html += '<p class="text-sm text-black/60 dark:text-white/60">Journey: ' + escapeHtml(event.journeyName) + '</p>';
+  }
+  if (event.customer && event.customer.matched) {
+    html += '<p class="text-sm text-black/60 dark:text-white/60">Customer: ' + getCustomerLabel(event.customer) + '</p>';
+  }
+  if (event.keyword) {
+    html += '<p class="flex items-center gap-1 text-sm text-black/60 dark:text-white/60"><span class="material-symbols-outlined text-sm"> key </span>Keyword: ' + escapeHtml(event.keyword.keyword) + (event.keyword.locale !== 'default' ? ' (' + escapeHtml(event.keyword.locale) + ')' : '') + ' - rule ' + escapeHtml(event.keyword.rule) + '</p>';
+  }
+  if (event.failureReason) {
+    html += '<p class="text-sm text-red-400">Failure: ' + escapeHtml(event.failureReason) + '</p>';
+  }
+  html += '<div class="mt-4 space-y-2">';
+  html += getStatusCheckboxes(event);
+  if (event.keyword) {
+    html += renderKeywordActions(event.keyword);
+  }
+  html += '</div>';
+  html += '</div>';
+  html += '<span class="material-symbols-outlined transition-transform duration-300 group-open:rotate-180 text-black/60 dark:text-white/60"> expand_more </span>';
+  html += '</summary>';
+  html += '<div class="p-4 border-t-2 border-primary/20 dark:border-primary/30 bg-background-light dark:bg-black/20">';
+  html += '<h3 class="font-semibold mb-2 text-black/90 dark:text-white/90">Full Event Payload</h3>';
+  if (event.payloadHidden) {
+    html += '<p class="text-sm text-black/50 dark:text-white/50">The raw payload is only visible to operators.</p>';
+  } else {
+    html += '<pre class="text-xs p-3 bg-black/5 dark:bg-black/30 rounded text-black/70 dark:text-white/70 overflow-auto"><code>' + escapeHtml(JSON.stringify(event.payload, null, 2)) + '</code></pre>';
+  }
+  html += '</div>';
+  html += '</details>';
+  return html;
+}
+
+// Attach toggle and retry listeners to a rendered tile
+function bindTile(detail) {
+  // Track which tiles the user expanded so re-renders keep them open
+  detail.addEventListener('toggle', function() {
+    const eventId = this.getAttribute('data-event-id');
+    if (this.open) {
+      expandedEvents.add(eventId);
+      console.log('Expanded:', eventId);
+    } else {
+      expandedEvents.delete(eventId);
+      console.log('Collapsed:', eventId);
+    }
+  });
+  
+  // Retry buttons on failed tiles re-deliver the event to the sinks that did not get it
+  detail.querySelectorAll('[data-replay-id]').forEach(btn => {
+    btn.addEventListener('click', function(e) {
+      // Keep the click from toggling the surrounding <details>
+      e.preventDefault();
+      e.stopPropagation();
+      replayEvent(this.getAttribute('data-replay-id'), this);
+    });
+  });
+}
+
 function renderEvents(events) {
   const grid = document.getElementById('eventsGrid');
   
@@ -359,76 +1648,608 @@ function renderEvents(events) {
     return;
   }
   
+  grid.innerHTML = events.map(renderEventTile).join('');
+  grid.querySelectorAll('details').forEach(bindTile);
+}
+
+function appendEvents(events) {
+  const grid = document.getElementById('eventsGrid');
+  const template = document.createElement('template');
+  template.innerHTML = events.map(renderEventTile).join('');
+  template.content.querySelectorAll('details').forEach(bindTile);
+  grid.appendChild(template.content);
+}
+
+function updatePaging(data) {
+  nextCursor = data.nextCursor;
+  const shown = document.getElementById('eventsGrid').querySelectorAll('details').length;
+  document.getElementById('resultSummary').textContent = 'Showing ' + shown + ' of ' + data.total + ' matching events';
+  document.getElementById('loadMoreWrapper').classList.toggle('hidden', !nextCursor || currentView !== 'events');
+}
+
+// Add or replace a single tile without re-rendering the grid
+function upsertTile(event, isNew) {
+  const grid = document.getElementById('eventsGrid');
+  const existing = grid.querySelector('[data-event-id="' + event.eventId + '"]');
+  if (!existing && !isNew) {
+    return;
+  }
+  
+  const template = document.createElement('template');
+  template.innerHTML = renderEventTile(event);
+  const tile = template.content.firstElementChild;
+  bindTile(tile);
+  
+  if (existing) {
+    existing.replaceWith(tile);
+  } else {
+    // Drop the "no events" placeholder before adding the first tile
+    if (!grid.querySelector('details')) {
+      grid.innerHTML = '';
+    }
+    grid.prepend(tile);
+  }
+}
+
+function updateStoreCount(store) {
+  document.getElementById('eventCount').textContent = store.count;
+  document.getElementById('storeType').textContent = store.type;
+}
+
+function setConnectionState(state) {
+  const states = {
+    live: { color: 'primary', label: 'Live', detail: 'Streaming events as they arrive' },
+    connecting: { color: 'yellow-400', label: 'Connecting', detail: 'Opening live event stream...' },
+    polling: { color: 'yellow-400', label: 'Reconnecting', detail: 'Stream dropped - polling every 3 seconds' },
+    offline: { color: 'red-500', label: 'Offline', detail: 'Cannot reach the server' }
+  };
+  const current = states[state];
+  connectionState = state;
+  document.getElementById('connStatus').className = 'flex items-center gap-4 p-4 rounded-lg bg-' + current.color + '/10 dark:bg-' + current.color + '/20';
+  document.getElementById('connPing').className = 'absolute inline-flex h-full w-full rounded-full bg-' + current.color + '/50' + (state === 'offline' ? '' : ' animate-ping');
+  document.getElementById('connDot').className = 'relative inline-flex rounded-full h-3 w-3 bg-' + current.color;
+  document.getElementById('connLabel').textContent = current.label;
+  document.getElementById('connDetail').textContent = current.detail;
+}
+
+async function replayEvent(eventId, btn) {
+  btn.disabled = true;
+  btn.classList.add('opacity-50');
+  try {
+    const response = await fetch('/api/events/' + encodeURIComponent(eventId) + '/replay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'HTTP error! status: ' + response.status);
+    }
+    console.log('Replayed event:', eventId, data.event && data.event.status);
+    // The stream delivers the status change when live; otherwise update the tile directly
+    if (connectionState !== 'live' && data.event) {
+      upsertTile(data.event, false);
+    }
+  } catch (error) {
+    console.error('Error replaying event:', error);
+    const errorMsg = document.getElementById('errorMessage');
+    errorMsg.querySelector('p').textContent = 'Error replaying event: ' + error.message;
+    errorMsg.classList.remove('hidden');
+  }
+}
+
+// --- Tenants ---
+function getTenantName(tenantId) {
+  const tenant = tenants.find(t => t.id === (tenantId || 'default'));
+  return tenant ? tenant.name : tenantId;
+}
+
+// Query string narrowing a request to the selected tenant, starting with the given separator
+function tenantQuery(separator) {
+  return currentTenant === 'all' ? '' : separator + 'tenant=' + encodeURIComponent(currentTenant);
+}
+
+// --- Signature failure audit ---
+const REJECTION_REASONS = {
+  invalid_signature: 'Invalid signature',
+  missing_signature: 'Missing signature',
+  no_key_configured: 'No signature key configured'
+};
+let rejectedEntries = [];
+
+function renderRejected(total) {
+  const count = document.getElementById('rejectedCount');
+  count.textContent = total;
+  count.className = 'text-2xl font-bold ' + (total ? 'text-red-400' : 'text-primary');
+  const list = document.getElementById('rejectedList');
+  if (rejectedEntries.length === 0) {
+    list.innerHTML = '<li>No rejected callbacks.</li>';
+    return;
+  }
+  list.innerHTML = '';
+  rejectedEntries.slice(0, 20).forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'p-2 rounded bg-red-500/10';
+    item.textContent = formatTime(entry.at) + ' - ' + (tenants.length > 1 ? getTenantName(entry.tenant) + ' - ' : '') + entry.ip + ' - ' + (REJECTION_REASONS[entry.reason] || entry.reason) + (entry.action === 'processed' ? ' (processed anyway)' : '');
+    list.appendChild(item);
+  });
+}
+
+async function fetchRejected() {
+  try {
+    const response = await fetch('/api/signature-failures' + tenantQuery('?'), { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error('HTTP error! status: ' + response.status);
+    }
+    const data = await response.json();
+    document.getElementById('signatureMode').textContent = data.mode;
+    rejectedEntries = data.entries;
+    renderRejected(data.total);
+  } catch (error) {
+    console.error('Error fetching signature failures:', error);
+  }
+}
+
+// --- Salesforce login state ---
+const SF_AUTH_STATES = {
+  authenticated: { label: 'Logged in', className: 'text-primary' },
+  expired: { label: 'Session renewed on next write', className: 'text-black/70 dark:text-white/70' },
+  not_authenticated: { label: 'Not logged in yet', className: 'text-black/70 dark:text-white/70' },
+  failing: { label: 'Login failing', className: 'text-red-400' }
+};
+
+function renderSalesforceAuth(orgs) {
+  const list = document.getElementById('sfAuthList');
+  if (orgs.length === 0) {
+    list.innerHTML = '<li>Not configured - monitoring-only mode.</li>';
+    return;
+  }
+  list.innerHTML = '';
+  orgs.forEach(org => {
+    const state = SF_AUTH_STATES[org.status] || SF_AUTH_STATES.not_authenticated;
+    const item = document.createElement('li');
+    item.className = 'space-y-1';
+    const heading = document.createElement('p');
+    heading.className = 'font-semibold ' + state.className;
+    heading.textContent = (tenants.length > 1 ? getTenantName(org.tenant) + ': ' : '') + state.label + ' (' + org.flow.replace('_', ' ') + ')';
+    item.appendChild(heading);
+    const addLine = (text, className) => {
+      const line = document.createElement('p');
+      line.className = 'break-words ' + (className || '');
+      line.textContent = text;
+      item.appendChild(line);
+    };
+    if (org.lastSuccessAt) {
+      addLine('Last login ' + formatTime(org.lastSuccessAt) + (org.expiresAt ? ', renewed after ' + formatTime(org.expiresAt) : ''));
+    }
+    if (org.sessionErrors) {
+      addLine(org.sessionErrors + ' rejected session(s) - logged in again');
+    }
+    if (org.status === 'failing') {
+      addLine(formatTime(org.lastErrorAt) + ' - ' + org.lastError, 'text-red-400');
+    }
+    list.appendChild(item);
+  });
+}
+
+async function fetchSalesforceAuth() {
+  try {
+    const response = await fetch('/api/salesforce-auth' + tenantQuery('?'), { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error('HTTP error! status: ' + response.status);
+    }
+    const data = await response.json();
+    renderSalesforceAuth(data.tenants);
+  } catch (error) {
+    console.error('Error fetching Salesforce login state:', error);
+  }
+}
+
+// --- Conversation mode ---
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function renderConversations(conversations) {
+  const grid = document.getElementById('conversationsGrid');
+  
+  if (conversations.length === 0) {
+    grid.innerHTML = '<div class="p-8 text-center text-black/40 dark:text-white/40"><p>No conversations yet.</p></div>';
+    return;
+  }
+  
   let html = '';
-  events.forEach(event => {
-    const isExpanded = expandedEvents.has(event.id);
-    html += '<details class="group bg-background-light dark:bg-background-dark border-2 border-primary/20 dark:border-primary/30 rounded-lg overflow-hidden hover:bg-primary/10 dark:hover:bg-primary/20" data-event-id="' + event.id + '"' + (isExpanded ? ' open' : '') + '>';
-    html += '<summary class="flex items-center justify-between p-4 cursor-pointer">';
-    html += '<div class="flex-1 space-y-2">';
-    html += '<p class="text-sm text-black/60 dark:text-white/60">ID: ' + event.id + '</p>';
+  conversations.forEach(thread => {
+    html += '<button class="text-left w-full p-4 bg-background-light dark:bg-background-dark border-2 border-primary/20 dark:border-primary/30 rounded-lg hover:bg-primary/10 dark:hover:bg-primary/20" data-thread-id="' + escapeHtml(thread.id) + '">';
+    html += '<div class="flex items-center justify-between">';
     html += '<div class="flex items-center gap-2">';
-    html += getEventIcon(event.eventType);
-    html += '<p class="font-bold text-lg text-black/90 dark:text-white/90">' + getEventLabel(event.eventType) + '</p>';
+    html += '<span class="material-symbols-outlined text-primary"> person </span>';
+    html += '<p class="font-bold text-lg text-black/90 dark:text-white/90">' + escapeHtml(thread.mobileNumber) + '</p>';
     html += '</div>';
-    html += '<p class="text-sm text-black/60 dark:text-white/60">Timestamp: ' + new Date(event.timestamp).toLocaleString() + '</p>';
-    html += '<p class="text-sm text-black/60 dark:text-white/60">Mobile: ' + event.mobileNumber + '</p>';
-    if (event.journeyName) {
-      html += '<p class="text-sm text-black/60 dark:text-white/60">Journey: ' + event.journeyName + '</p>';
+    html += '<p class="text-sm text-black/60 dark:text-white/60">' + formatTime(thread.lastActivity) + '</p>';
+    html += '</div>';
+    html += '<p class="text-sm text-black/60 dark:text-white/60">Contact Key: ' + escapeHtml(thread.contactKey) + '</p>';
+    html += '<p class="text-sm text-black/60 dark:text-white/60">' + thread.inboundCount + ' inbound, ' + thread.outboundCount + ' outbound - last: ' + getEventLabel(thread.lastEventType) + '</p>';
+    if (thread.journeys.length) {
+      html += '<p class="text-sm text-black/60 dark:text-white/60">Journeys: ' + thread.journeys.map(escapeHtml).join(', ') + '</p>';
+    }
+    html += '</button>';
+  });
+  grid.innerHTML = html;
+  
+  grid.querySelectorAll('[data-thread-id]').forEach(btn => {
+    btn.addEventListener('click', function() {
+      openThread(this.getAttribute('data-thread-id'));
+    });
+  });
+}
+
+function renderOutboundSteps(item) {
+  const steps = [
+    ['sent', 'Sent', 'send'],
+    ['delivered', 'Delivered', 'done_all'],
+    ['read', 'Read', 'visibility'],
+    ['failed', 'Failed', 'error']
+  ];
+  let html = '<div class="mt-2 space-y-1">';
+  steps.forEach(([key, label, icon]) => {
+    const step = item.steps[key];
+    if (!step) {
+      if (key !== 'failed') {
+        html += '<p class="text-xs text-black/40 dark:text-white/40 flex items-center gap-1"><span class="material-symbols-outlined text-sm">' + icon + '</span>' + label + ' - not yet</p>';
+      }
+      return;
     }
-    if (event.failureReason) {
-      html += '<p class="text-sm text-red-400">Failure: ' + event.failureReason + '</p>';
+    const color = key === 'failed' ? 'text-red-400' : 'text-black/70 dark:text-white/70';
+    html += '<p class="text-xs ' + color + ' flex items-center gap-1"><span class="material-symbols-outlined text-sm">' + icon + '</span>' + label + ' - ' + formatTime(step.timestamp) + (step.reason ? ' (' + escapeHtml(step.reason) + ')' : '') + '</p>';
+  });
+  html += '</div>';
+  return html;
+}
+
+function renderThread(thread) {
+  const grid = document.getElementById('conversationsGrid');
+  let html = '';
+  html += '<div class="flex items-center gap-3">';
+  html += '<button id="threadBack" class="px-3 py-1 bg-primary/20 hover:bg-primary/30 rounded-lg flex items-center gap-1 text-sm"><span class="material-symbols-outlined text-sm">arrow_back</span>All conversations</button>';
+  html += '</div>';
+  html += '<div class="p-4 rounded-lg bg-black/5 dark:bg-black/20">';
+  html += '<p class="font-bold text-lg text-black/90 dark:text-white/90">' + escapeHtml(thread.mobileNumber) + '</p>';
+  html += '<p class="text-sm text-black/60 dark:text-white/60">Contact Key: ' + escapeHtml(thread.contactKey) + '</p>';
+  if (thread.journeys.length) {
+    html += '<p class="text-sm text-black/60 dark:text-white/60">Journeys: ' + thread.journeys.map(escapeHtml).join(', ') + '</p>';
+  }
+  if (thread.activities.length) {
+    html += '<p class="text-sm text-black/60 dark:text-white/60">Activities: ' + thread.activities.map(escapeHtml).join(', ') + '</p>';
+  }
+  html += '</div>';
+  
+  thread.timeline.forEach(item => {
+    const isInbound = item.kind === 'inbound';
+    html += '<div class="flex ' + (isInbound ? 'justify-start' : 'justify-end') + '">';
+    html += '<div class="max-w-md w-full p-3 rounded-lg border-2 ' + (isInbound ? 'border-primary/30 bg-primary/10' : 'border-blue-400/30 bg-blue-400/10') + '">';
+    html += '<div class="flex items-center gap-2">';
+    if (item.kind === 'outbound') {
+      html += '<span class="material-symbols-outlined text-blue-400"> send </span>';
+      html += '<p class="font-semibold text-black/90 dark:text-white/90">Outbound message - ' + escapeHtml(item.status) + '</p>';
+    } else {
+      html += getEventIcon(item.event.eventType);
+      html += '<p class="font-semibold text-black/90 dark:text-white/90">' + getEventLabel(item.event.eventType) + '</p>';
     }
-    html += '<div class="mt-4 space-y-2">';
-    html += getStatusCheckboxes(event);
     html += '</div>';
+    html += '<p class="text-xs text-black/60 dark:text-white/60">' + formatTime(item.timestamp) + ' - ID: ' + escapeHtml(item.messageId) + '</p>';
+    if (item.journeyName || item.activityName) {
+      html += '<p class="text-xs text-black/60 dark:text-white/60">' + [item.journeyName, item.activityName].filter(Boolean).map(escapeHtml).join(' / ') + '</p>';
+    }
+    if (item.kind === 'outbound') {
+      html += renderOutboundSteps(item);
+    }
     html += '</div>';
-    html += '<span class="material-symbols-outlined transition-transform duration-300 group-open:rotate-180 text-black/60 dark:text-white/60"> expand_more </span>';
-    html += '</summary>';
-    html += '<div class="p-4 border-t-2 border-primary/20 dark:border-primary/30 bg-background-light dark:bg-black/20">';
-    html += '<h3 class="font-semibold mb-2 text-black/90 dark:text-white/90">Full Event Payload</h3>';
-    html += '<pre class="text-xs p-3 bg-black/5 dark:bg-black/30 rounded text-black/70 dark:text-white/70 overflow-auto"><code>' + JSON.stringify(event.payload, null, 2) + '</code></pre>';
     html += '</div>';
-    html += '</details>';
   });
   grid.innerHTML = html;
   
-  // Attach toggle event listeners to track user interactions
-  const details = grid.querySelectorAll('details');
-  details.forEach(detail => {
-    detail.addEventListener('toggle', function() {
-      const eventId = this.getAttribute('data-event-id');
-      if (this.open) {
-        expandedEvents.add(eventId);
-        console.log('Expanded:', eventId);
-      } else {
-        expandedEvents.delete(eventId);
-        console.log('Collapsed:', eventId);
-      }
-    });
+  document.getElementById('threadBack').addEventListener('click', () => {
+    currentThread = null;
+    fetchConversations();
   });
 }
 
-async function fetchEvents() {
+async function fetchConversations() {
   try {
-    console.log('Fetching events from /api/events...');
-    const response = await fetch('/api/events?type=' + currentFilter, {
-      cache: 'no-cache'
-    });
+    const url = (currentThread ? '/api/conversations/' + encodeURIComponent(currentThread) : '/api/conversations') + tenantQuery('?');
+    const response = await fetch(url, { cache: 'no-cache' });
     
+    if (response.status === 404 && currentThread) {
+      // The thread aged out of the event store
+      currentThread = null;
+      return fetchConversations();
+    }
     if (!response.ok) {
       throw new Error('HTTP error! status: ' + response.status);
     }
     
     const data = await response.json();
+    if (currentThread) {
+      renderThread(data.conversation);
+    } else {
+      renderConversations(data.conversations);
+    }
+    document.getElementById('errorMessage').classList.add('hidden');
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    const errorMsg = document.getElementById('errorMessage');
+    errorMsg.querySelector('p').textContent = 'Error loading conversations: ' + error.message;
+    errorMsg.classList.remove('hidden');
+  }
+}
+
+function openThread(threadId) {
+  currentThread = threadId;
+  fetchConversations();
+}
+
+// Rebuilding threads needs the server; batch bursts of live events into one request
+function scheduleConversationRefresh() {
+  if (!conversationRefreshTimer) {
+    conversationRefreshTimer = setTimeout(() => {
+      conversationRefreshTimer = null;
+      fetchConversations();
+    }, 500);
+  }
+}
+
+function setView(view) {
+  currentView = view;
+  currentThread = null;
+  const titles = { events: 'Recent Events', conversations: 'Conversations', analytics: 'Delivery Analytics' };
+  const isEvents = view === 'events';
+  document.getElementById('viewTitle').textContent = titles[view];
+  document.querySelectorAll('#viewTabs [data-view]').forEach(tab => {
+    tab.classList.toggle('bg-primary/30', tab.getAttribute('data-view') === view);
+  });
+  document.getElementById('eventFilterWrapper').classList.toggle('hidden', !isEvents);
+  document.getElementById('eventsGrid').classList.toggle('hidden', !isEvents);
+  document.getElementById('searchBar').classList.toggle('hidden', !isEvents);
+  document.getElementById('loadMoreWrapper').classList.add('hidden');
+  document.getElementById('conversationsGrid').classList.toggle('hidden', view !== 'conversations');
+  document.getElementById('analyticsPanel').classList.toggle('hidden', view !== 'analytics');
+  refreshView();
+  // Conversations and analytics need every event type from the stream
+  connectStream();
+}
+
+function refreshView() {
+  if (currentView === 'analytics') {
+    return fetchAnalytics();
+  }
+  return currentView === 'conversations' ? fetchConversations() : fetchEvents();
+}
+
+// --- Analytics mode ---
+function formatRate(value) {
+  return value === null ? '-' : value + '%';
+}
+
+function formatSeconds(value) {
+  if (value === null) {
+    return '-';
+  }
+  if (value < 60) {
+    return Math.round(value) + 's';
+  }
+  if (value < 3600) {
+    return Math.round(value / 60) + 'm';
+  }
+  return (Math.round(value / 360) / 10) + 'h';
+}
+
+function renderStatCard(label, value, detail) {
+  return '<div class="p-4 rounded-lg bg-black/5 dark:bg-black/20"><p class="text-sm text-black/60 dark:text-white/60">' + label + '</p><p class="text-2xl font-bold text-primary">' + value + '</p><p class="text-xs text-black/50 dark:text-white/50">' + detail + '</p></div>';
+}
+
+function renderLatencyRow(label, latency) {
+  return '<tr class="border-t border-primary/10"><td class="py-2">' + label + '</td><td>' + latency.count + '</td><td>' + formatSeconds(latency.p50) + '</td><td>' + formatSeconds(latency.p90) + '</td><td>' + formatSeconds(latency.p95) + '</td><td>' + formatSeconds(latency.p99) + '</td></tr>';
+}
+
+function renderFunnelTable(title, rows, nameOf) {
+  let html = '<div><h3 class="font-bold text-black/90 dark:text-white/90 mb-2">' + title + '</h3>';
+  if (rows.length === 0) {
+    return html + '<p class="text-sm text-black/40 dark:text-white/40">No outbound messages in this window.</p></div>';
+  }
+  html += '<table class="w-full text-sm text-left text-black/80 dark:text-white/80"><thead class="text-black/50 dark:text-white/50"><tr><th class="py-2">Name</th><th>Messages</th><th>Delivered</th><th>Read</th><th>Failed</th><th>Send &rarr; Delivery p50</th><th>Delivery &rarr; Read p50</th></tr></thead><tbody>';
+  rows.forEach(row => {
+    html += '<tr class="border-t border-primary/10"><td class="py-2">' + escapeHtml(nameOf(row)) + '</td><td>' + row.messages + '</td><td>' + formatRate(row.deliveryRate) + '</td><td>' + formatRate(row.readRate) + '</td><td>' + formatRate(row.failureRate) + '</td><td>' + formatSeconds(row.latency.sendToDelivery.p50) + '</td><td>' + formatSeconds(row.latency.deliveryToRead.p50) + '</td></tr>';
+  });
+  return html + '</tbody></table></div>';
+}
+
+function renderAnalytics(data) {
+  const totals = data.totals;
+  let html = '<div class="grid grid-cols-4 gap-4">';
+  html += renderStatCard('Outbound messages', totals.messages, totals.sent + ' with a Sent event');
+  html += renderStatCard('Delivered', formatRate(totals.deliveryRate), totals.delivered + ' messages');
+  html += renderStatCard('Read', formatRate(totals.readRate), totals.read + ' messages');
+  html += renderStatCard('Failed', formatRate(totals.failureRate), totals.failed + ' messages');
+  html += '</div>';
+  
+  html += '<div class="mt-6"><h3 class="font-bold text-black/90 dark:text-white/90 mb-2">Latency</h3>';
+  html += '<table class="w-full text-sm text-left text-black/80 dark:text-white/80"><thead class="text-black/50 dark:text-white/50"><tr><th class="py-2"></th><th>Messages</th><th>p50</th><th>p90</th><th>p95</th><th>p99</th></tr></thead><tbody>';
+  html += renderLatencyRow('Send &rarr; Delivery', totals.latency.sendToDelivery);
+  html += renderLatencyRow('Delivery &rarr; Read', totals.latency.deliveryToRead);
+  html += '</tbody></table></div>';
+  
+  html += '<div class="mt-6">' + renderFunnelTable('By Journey', data.byJourney, row => row.journeyName || '(no journey)') + '</div>';
+  html += '<div class="mt-6">' + renderFunnelTable('By Activity', data.byActivity, row => (row.journeyName || '(no journey)') + ' / ' + (row.activityName || '(no activity)')) + '</div>';
+  
+  html += '<div class="mt-6"><h3 class="font-bold text-black/90 dark:text-white/90 mb-2">Failure Reasons</h3>';
+  if (data.failureReasons.length === 0) {
+    html += '<p class="text-sm text-black/40 dark:text-white/40">No failed messages in this window.</p>';
+  }
+  data.failureReasons.forEach(item => {
+    html += '<div class="mb-2"><div class="flex justify-between text-sm text-black/80 dark:text-white/80"><span class="reason-text"></span><span>' + item.count + ' (' + formatRate(item.share) + ')</span></div>';
+    html += '<div class="h-2 rounded bg-black/5 dark:bg-black/20"><div class="h-2 rounded bg-red-400" style="width: ' + item.share + '%"></div></div></div>';
+  });
+  html += '</div>';
+  
+  const content = document.getElementById('analyticsContent');
+  content.innerHTML = html;
+  // Failure reasons come straight from the ENS payload
+  content.querySelectorAll('.reason-text').forEach((el, i) => {
+    el.textContent = data.failureReasons[i].reason;
+  });
+  
+  const methodSelect = document.getElementById('analyticsSendMethod');
+  data.sendMethods.forEach(method => {
+    if (!Array.prototype.some.call(methodSelect.options, option => option.value === method)) {
+      methodSelect.add(new Option(method, method));
+    }
+  });
+}
+
+async function fetchAnalytics() {
+  try {
+    const params = new URLSearchParams({ window: document.getElementById('analyticsWindow').value });
+    const sendMethod = document.getElementById('analyticsSendMethod').value;
+    if (sendMethod) {
+      params.set('sendMethod', sendMethod);
+    }
+    if (currentTenant !== 'all') {
+      params.set('tenant', currentTenant);
+    }
+    const response = await fetch('/api/analytics?' + params.toString(), { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error('HTTP error! status: ' + response.status);
+    }
+    renderAnalytics(await response.json());
+    document.getElementById('errorMessage').classList.add('hidden');
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    const errorMsg = document.getElementById('errorMessage');
+    errorMsg.querySelector('p').textContent = 'Error loading analytics: ' + error.message;
+    errorMsg.classList.remove('hidden');
+  }
+}
+
+// Analytics cover many events; recompute at most every few seconds while events stream in
+function scheduleAnalyticsRefresh() {
+  if (!analyticsRefreshTimer) {
+    analyticsRefreshTimer = setTimeout(() => {
+      analyticsRefreshTimer = null;
+      fetchAnalytics();
+    }, 5000);
+  }
+}
+
+// --- Search ---
+function toIsoTime(value) {
+  return value ? new Date(value).toISOString() : '';
+}
+
+function getSearchParams() {
+  const params = new URLSearchParams();
+  const fields = {
+    tenant: currentTenant === 'all' ? '' : currentTenant,
+    type: currentFilter === 'all' ? '' : currentFilter,
+    status: document.getElementById('searchStatus').value,
+    mobileNumber: document.getElementById('searchMobile').value.trim(),
+    contactKey: document.getElementById('searchContactKey').value.trim(),
+    journeyName: document.getElementById('searchJourney').value.trim(),
+    sendMethod: document.getElementById('searchSendMethod').value.trim(),
+    reason: document.getElementById('searchReason').value.trim(),
+    from: toIsoTime(document.getElementById('searchFrom').value),
+    to: toIsoTime(document.getElementById('searchTo').value),
+    sort: document.getElementById('searchSort').value === 'asc' ? 'asc' : ''
+  };
+  Object.keys(fields).forEach(key => {
+    if (fields[key]) {
+      params.set(key, fields[key]);
+    }
+  });
+  return params;
+}
+
+// Live events can only be placed by the browser when just the event type and tenant filters are set
+// (the stream applies both itself)
+function hasSearchFilters() {
+  const params = getSearchParams();
+  params.delete('type');
+  params.delete('tenant');
+  return params.toString() !== '';
+}
+
+function updateExportLinks() {
+  const params = getSearchParams();
+  ['csv', 'ndjson'].forEach(format => {
+    params.set('format', format);
+    document.getElementById(format === 'csv' ? 'exportCsv' : 'exportNdjson').href = '/api/events/export?' + params.toString();
+  });
+}
+
+function scheduleEventsRefresh() {
+  if (!eventsRefreshTimer) {
+    eventsRefreshTimer = setTimeout(() => {
+      eventsRefreshTimer = null;
+      fetchEvents();
+    }, 500);
+  }
+}
+
+async function fetchEventsPage(cursor) {
+  const params = getSearchParams();
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  const response = await fetch('/api/events?' + params.toString(), {
+    cache: 'no-cache'
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'HTTP error! status: ' + response.status);
+  }
+  return data;
+}
+
+async function loadMoreEvents() {
+  if (!nextCursor) {
+    return;
+  }
+  const btn = document.getElementById('loadMoreBtn');
+  btn.disabled = true;
+  try {
+    const data = await fetchEventsPage(nextCursor);
+    appendEvents(data.events);
+    updatePaging(data);
+  } catch (error) {
+    console.error('Error loading more events:', error);
+    const errorMsg = document.getElementById('errorMessage');
+    errorMsg.querySelector('p').textContent = 'Error loading events: ' + error.message;
+    errorMsg.classList.remove('hidden');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function fetchEvents() {
+  try {
+    console.log('Fetching events from /api/events...');
+    const data = await fetchEventsPage(null);
     console.log('Received data:', data);
     
-    document.getElementById('eventCount').textContent = data.total;
+    updateStoreCount(data.store);
     renderEvents(data.events);
+    updatePaging(data);
     
     // Hide error message if successful
     document.getElementById('errorMessage').classList.add('hidden');
+    if (connectionState === 'offline') {
+      setConnectionState('polling');
+    }
   } catch (error) {
     console.error('Error fetching events:', error);
+    if (connectionState !== 'live') {
+      setConnectionState('offline');
+    }
     const errorMsg = document.getElementById('errorMessage');
     errorMsg.querySelector('p').textContent = 'Error loading events: ' + error.message;
     errorMsg.classList.remove('hidden');
@@ -446,7 +2267,7 @@ function manualRefresh() {
     icon.style.animation = '';
   }, 500);
   
-  fetchEvents();
+  refreshView();
 }
 
 // Add spin animation
@@ -457,105 +2278,758 @@ document.head.appendChild(style);
 // Manual refresh button
 document.getElementById('refreshBtn').addEventListener('click', manualRefresh);
 
+// Polling is only the fallback while the live stream is down
+function startPolling() {
+  if (!pollTimer) {
+    pollTimer = setInterval(refreshView, 3000);
+  }
+}
+
+function stopPolling() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+function connectStream() {
+  if (eventSource) {
+    eventSource.close();
+  }
+  if (!window.EventSource) {
+    setConnectionState('polling');
+    startPolling();
+    return;
+  }
+  
+  setConnectionState('connecting');
+  const streamFilter = currentView === 'events' ? currentFilter : 'all';
+  eventSource = new EventSource('/api/events/stream?type=' + encodeURIComponent(streamFilter) + tenantQuery('&'));
+  
+  eventSource.addEventListener('open', () => {
+    console.log('Live stream connected');
+    stopPolling();
+    setConnectionState('live');
+    // Catch up on anything missed while disconnected
+    refreshView();
+    fetchRejected();
+    fetchSalesforceAuth();
+  });
+  
+  eventSource.addEventListener('stored', (e) => {
+    const data = JSON.parse(e.data);
+    updateStoreCount(data.store);
+    if (currentView === 'analytics') {
+      scheduleAnalyticsRefresh();
+    } else if (currentView === 'conversations') {
+      scheduleConversationRefresh();
+    } else if (hasSearchFilters()) {
+      scheduleEventsRefresh();
+    } else {
+      upsertTile(data.event, true);
+    }
+  });
+  
+  eventSource.addEventListener('updated', (e) => {
+    if (currentView === 'analytics') {
+      scheduleAnalyticsRefresh();
+    } else if (currentView === 'conversations') {
+      scheduleConversationRefresh();
+    } else {
+      upsertTile(JSON.parse(e.data).event, false);
+    }
+  });
+  
+  eventSource.addEventListener('rejected', (e) => {
+    const data = JSON.parse(e.data);
+    rejectedEntries.unshift(data.entry);
+    renderRejected(data.total);
+  });
+  
+  eventSource.addEventListener('count', (e) => {
+    updateStoreCount(JSON.parse(e.data).store);
+  });
+  
+  // EventSource reconnects by itself; poll in the meantime
+  eventSource.addEventListener('error', () => {
+    console.warn('Live stream dropped, falling back to polling');
+    if (connectionState !== 'offline') {
+      setConnectionState('polling');
+    }
+    startPolling();
+  });
+}
+
+// Events / conversations / analytics tabs
+document.querySelectorAll('#viewTabs [data-view]').forEach(tab => {
+  tab.addEventListener('click', () => {
+    setView(tab.getAttribute('data-view'));
+  });
+});
+document.querySelector('#viewTabs [data-view="events"]').classList.add('bg-primary/30');
+
+// Analytics window and send method
+document.getElementById('analyticsWindow').addEventListener('change', fetchAnalytics);
+document.getElementById('analyticsSendMethod').addEventListener('change', fetchAnalytics);
+
 // Event filter
 document.getElementById('eventFilter').addEventListener('change', (e) => {
   currentFilter = e.target.value;
+  updateExportLinks();
+  fetchEvents();
+  connectStream();
+});
+
+// Search bar
+document.getElementById('searchBar').addEventListener('submit', (e) => {
+  e.preventDefault();
+  updateExportLinks();
   fetchEvents();
 });
 
-// Auto-refresh every 3 seconds
-setInterval(fetchEvents, 3000);
+document.getElementById('searchClear').addEventListener('click', () => {
+  document.getElementById('searchBar').reset();
+  updateExportLinks();
+  fetchEvents();
+});
+
+document.getElementById('loadMoreBtn').addEventListener('click', loadMoreEvents);
+
+// Tenant switcher; the selection is kept in the page URL so it survives reloads
+const tenantSwitcher = document.getElementById('tenantSwitcher');
+if (tenantSwitcher) {
+  tenants.forEach(tenant => {
+    const option = document.createElement('option');
+    option.value = tenant.id;
+    option.textContent = tenant.name;
+    tenantSwitcher.appendChild(option);
+  });
+  const requestedTenant = new URLSearchParams(window.location.search).get('tenant');
+  if (tenants.some(tenant => tenant.id === requestedTenant)) {
+    currentTenant = requestedTenant;
+    tenantSwitcher.value = requestedTenant;
+  }
+  tenantSwitcher.addEventListener('change', (e) => {
+    currentTenant = e.target.value;
+    currentThread = null;
+    const url = new URL(window.location.href);
+    if (currentTenant === 'all') {
+      url.searchParams.delete('tenant');
+    } else {
+      url.searchParams.set('tenant', currentTenant);
+    }
+    window.history.replaceState(null, '', url.toString());
+    updateExportLinks();
+    refreshView();
+    fetchRejected();
+    fetchSalesforceAuth();
+    connectStream();
+  });
+  updateExportLinks();
+}
+
+// Signed-in user
+if (document.getElementById('userName')) {
+  document.getElementById('userName').textContent = currentUser.name;
+  document.getElementById('userRole').textContent = currentUser.role;
+}
 
 // Initial load
 console.log('Dashboard loaded, fetching initial events...');
 fetchEvents();
+connectStream();
+// Logins happen as events arrive; check the state once a minute
+setInterval(fetchSalesforceAuth, 60000);
 </script>
 </body></html>`);
 });
 
 // --- Main Webhook Endpoint ---
-app.post('/ens/callback', (req, res) => {
+// /ens/callback is the default tenant; /ens/callback/:tenant the tenants from TENANTS_FILE
+app.post(['/ens/callback', '/ens/callback/:tenant'], async (req, res) => {
+    // ENS redelivers what it could not hand over, so new payloads go to the next dyno
+    if (shuttingDown) {
+        return res.status(503).set('Retry-After', '5').send('Shutting down.');
+    }
+    const tenant = tenants.get(req.params.tenant || DEFAULT_TENANT);
+    if (!tenant) {
+        console.warn(`🚫 ENS callback for unknown tenant "${req.params.tenant}" from ${req.ip}`);
+        return res.status(404).send('Unknown tenant.');
+    }
+    const label = tenant.label;
+    ensRequests.inc({ tenant: tenant.id });
+
     // 1. Handle ENS Callback Verification
     if (req.body.verificationKey) {
-        console.log(`Received verification key: ${req.body.verificationKey}`);
-        return res.status(200).send('Verification key received.');
-    }
+        const { callbackId, verificationKey } = req.body;
+        ensVerificationCallbacks.inc({ tenant: tenant.id });
+        // The key itself is not logged - operators read it from /api/admin/ens/verification-key
+        console.log(`${label}Received ENS callback verification key${callbackId ? ` for callback ${callbackId}` : ''}`);
+        verificationKeys.set(tenant.id, { callbackId: callbackId || null, verificationKey, receivedAt: new Date().toISOString() });
+        res.status(200).send('Verification key received.');
 
-    // 2. Verify the Signature
-    const signature = req.header('x-sfmc-ens-signature');
-    if (!ENS_SIGNATURE_KEY || !signature) {
-        console.warn('Signature key not configured or signature missing from request.');
-        return res.status(200).send('Request received, but signature could not be validated.');
+        if (tenant.autoVerify && callbackId) {
+            tenant.marketingCloud.verifyCallback(callbackId, verificationKey)
+                .then(() => console.log(`✅ ${label}ENS callback ${callbackId} verified with Marketing Cloud`))
+                .catch(error => console.error(`❌ ${label}Automatic verification of ENS callback ${callbackId} failed:`, error.message));
+        }
+        return;
     }
 
-    // Decode the base64-encoded signature key from Marketing Cloud
-    const decodedKey = Buffer.from(ENS_SIGNATURE_KEY.trim(), 'base64');
-    const hash = crypto.createHmac('sha256', decodedKey)
-                       .update(req.rawBody)
-                       .digest('base64');
+    // 2. Verify the Signature against every active key of the tenant
+    const verifier = tenant.signatureVerifier;
+    const check = verifier.verify(req.rawBody, req.header('x-sfmc-ens-signature'));
+    if (!check.valid) {
+        const strict = verifier.mode === 'strict';
+        ensSignatureFailures.inc({ tenant: tenant.id, reason: check.reason });
+        const entry = rejectionLog.record({
+            tenant: tenant.id,
+            ip: req.ip,
+            reason: check.reason,
+            action: strict ? 'rejected' : 'processed',
+            userAgent: req.header('user-agent') || null,
+            bodyBytes: req.rawBody ? req.rawBody.length : 0
+        });
+        eventBus.emit('rejected', entry, rejectionLog.total());
+
+        if (strict) {
+            console.error(`🚫 ${label}Rejected ENS callback from ${req.ip}: ${check.reason}`);
+            return res.status(401).send('Invalid signature.');
+        }
+        console.warn(`⚠️  ${label}ENS callback from ${req.ip} failed verification (${check.reason}) - processing anyway (ENS_SIGNATURE_MODE=permissive)`);
+    } else if (check.keyIndex > 0 && !tenant.rotationKeysSeen.has(check.keyIndex)) {
+        tenant.rotationKeysSeen.add(check.keyIndex);
+        console.warn(`🔑 ${label}ENS callback verified with signature key #${check.keyIndex + 1} - remove it from ${tenant.id === DEFAULT_TENANT ? 'ENS_SIGNATURE_KEY' : 'ensSignatureKey'} once Marketing Cloud signs with the first key`);
+    }
 
-    if (hash !== signature) {
-        console.error('Invalid signature. Request will be discarded.');
-        return res.status(200).send('Invalid signature.');
+    // 3. Journal the Payload - nothing is acknowledged before it is on disk
+    let entryId = null;
+    if (intakeJournal) {
+        try {
+            entryId = await intakeJournal.record(tenant.id, req.body);
+        } catch (error) {
+            console.error(`❌ ${label}Could not write ENS payload to the intake journal:`, error.message);
+            return res.status(503).send('Event could not be accepted.');
+        }
     }
 
-    // 3. Respond Immediately to ENS
+    // 4. Respond Immediately to ENS
     res.status(200).send('Event received. Processing asynchronously.');
 
-    // 4. Process the Payload Asynchronously
-    processPayload(req.body);
+    // 5. Process the Payload Asynchronously
+    processJournaled(tenant, req.body, entryId);
 });
 
+// Process a payload and remove its journal entry once done. A payload that
+// fails unexpectedly keeps its entry and is processed again on the next start.
+function processJournaled(tenant, payload, entryId, options) {
+    return track(processPayload(tenant, payload, Object.assign({ entryId }, options))
+        .then(() => entryId && intakeJournal.complete(entryId))
+        .catch(error => {
+            console.error(`❌ ${tenant.label}Processing of ENS payload${entryId ? ` (journal entry ${entryId})` : ''} failed:`, error.message);
+        }));
+}
+
+// Payloads acknowledged by the previous run but never finished, oldest first
+async function replayJournal(entries) {
+    if (!entries.length) {
+        return;
+    }
+    console.log(`📒 Processing ${entries.length} unfinished payload(s) from the intake journal`);
+    for (const entry of entries) {
+        if (shuttingDown) {
+            return;
+        }
+        const tenant = tenants.get(entry.tenant);
+        if (!tenant) {
+            // Kept for when the tenant is configured again
+            console.warn(`⚠️  Intake journal entry ${entry.id} is for unknown tenant "${entry.tenant}" - left in the journal`);
+            continue;
+        }
+        try {
+            if (!await intakeJournal.attempt(entry)) {
+                console.error(`❌ Intake journal entry ${entry.id} failed ${entry.attempts || 1} time(s) - moved to ${intakeJournal.quarantineDir}`);
+                continue;
+            }
+        } catch (error) {
+            console.error(`❌ Could not update intake journal entry ${entry.id} - left in the journal:`, error.message);
+            continue;
+        }
+        await processJournaled(tenant, entry.payload, entry.id, { replay: true });
+    }
+}
+
 // --- Asynchronous Processing Logic ---
-async function processPayload(payload) {
-    console.log(`Processing payload with ${Array.isArray(payload) ? payload.length : 1} event(s).`);
+// Events of a journaled payload get event IDs derived from the journal entry and
+// their position in it, so a replay can tell which of them are already stored
+function journalEventId(entryId, index) {
+    const hex = crypto.createHash('sha256').update(`${entryId}:${index}`).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// With `replay`, events already stored before a restart are skipped silently.
+// An event that cannot be stored does not stop the others; the payload is then
+// rejected so that its journal entry is kept and processed again
+async function processPayload(tenant, payload, { replay = false, entryId = null } = {}) {
+    console.log(`${tenant.label}Processing payload with ${Array.isArray(payload) ? payload.length : 1} event(s).`);
     const events = Array.isArray(payload) ? payload : [payload];
+    // Events are stored in order, but delivered together so their Salesforce writes share batches
+    const deliveries = [];
+    let failed = 0;
 
-    for (const event of events) {
-        const eventType = event.eventCategoryType || 'Unknown';
-        const messageId = event.messageId || event.messageKey || 'N/A';
-        
-        console.log(`Processing event: ${eventType} | Message ID: ${messageId}`);
-        
+    for (const [index, event] of events.entries()) {
+        const eventId = entryId ? journalEventId(entryId, index) : crypto.randomUUID();
         try {
-            // Check if this is an inbound message that should be sent to Salesforce
-            if (eventType === 'EngagementEvents.OttMobileOriginated' && SALESFORCE_ENABLED) {
-                // Inbound message - create Salesforce record
-                const conn = await sfConnectionCache.getConnection();
-                
-                const record = {
-                    Message_ID__c: messageId,
-                    Raw_Payload__c: JSON.stringify(event, null, 2).substring(0, 131000)
-                };
+            await processEvent(tenant, event, { eventId, replay, deliveries });
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${tenant.label}Event could not be stored:`, error.message);
+        }
+    }
+
+    await Promise.all(deliveries);
+    if (failed) {
+        throw new Error(`${failed} of ${events.length} event(s) could not be stored`);
+    }
+}
+
+// Stores one event and adds its sink deliveries and keyword actions to `deliveries`
+async function processEvent(tenant, event, { eventId, replay, deliveries }) {
+    const eventType = event.eventCategoryType || 'Unknown';
+    const messageId = event.messageId || event.messageKey || 'N/A';
+    
+    if (replay && await eventStore.get(eventId)) {
+        console.log(`📒 ${eventType} | Message ID: ${messageId} was stored before the restart - skipped`);
+        return;
+    }
+    console.log(`Processing event: ${eventType} | Message ID: ${messageId}`);
+    
+    // Redelivered copies are shown on the dashboard but never processed again;
+    // on a replay this also skips events stored before the restart under another ID
+    const original = deduplicator.claim(event);
+    if (original && replay) {
+        console.log(`📒 ${eventType} | Message ID: ${messageId} was stored before the restart - skipped`);
+        return;
+    }
+    if (original) {
+        console.log(`♻️  Duplicate ENS delivery of ${eventType} | Message ID: ${messageId} - not processed again`);
+        await storeEvent(tenant, event, 'duplicate', { duplicateOf: original.eventId }, eventId);
+        return;
+    }
+    
+    // Keywords are matched before storing, so the tags and opt-out are stored with the event
+    const keywordMatch = keywordRules ? keywordRules.match(event) : null;
+    const keywordDetails = keywordMatch ? keywordRules.applyMatch(keywordMatch) : {};
+    if (keywordMatch) {
+        console.log(`🔑 ${tenant.label}Keyword rule ${keywordMatch.rule} matched "${keywordMatch.keyword}" (${keywordMatch.locale}) | Message ID: ${messageId}`);
+        keywordMatches.inc({ tenant: tenant.id, rule: keywordMatch.rule });
+    }
+
+    let storedEvent = null;
+    try {
+        // Every sink whose filter accepts the event gets its own delivery
+        const targets = sinkConfig.sinks.filter(sink => sink.accepts(tenant, eventType));
+        if (targets.length) {
+            // Store it first so each delivery can be retried or replayed
+            storedEvent = await storeEvent(tenant, event, 'processing', Object.assign({ sinks: initialSinkStates(targets) }, keywordDetails), eventId);
+            deduplicator.confirm(event, storedEvent.eventId);
+            deliveries.push(deliverToSinks(storedEvent.eventId, targets.map(sink => sink.name)).catch(error => {
+                console.error(`Error delivering event ${storedEvent.eventId}:`, error.message);
+            }));
+        } else {
+            // No sink takes this event type - log only
+            const reason = !tenant.salesforceEnabled && sinkConfig.sinks.every(sink => sink.salesforce)
+                ? '(Salesforce integration disabled)'
+                : '(no output sink accepts it)';
+            console.log(`${tenant.label}Event type ${eventType} logged ${reason}`);
+            storedEvent = await storeEvent(tenant, event, 'logged_only', keywordDetails, eventId);
+            deduplicator.confirm(event, storedEvent.eventId);
+        }
+
+    } catch (error) {
+        // Not stored for delivery, so an ENS redelivery is processed again rather than skipped
+        deduplicator.release(event);
+        console.error('Error processing event:', error.message);
+        console.error('Failed Event Payload:', JSON.stringify(redactor.redact(event, 'logs')));
+        storedEvent = await storeEvent(tenant, event, 'error', keywordDetails, eventId);
+    }
+
+    if (typeof storedEvent.optOut === 'boolean') {
+        await optOutStore.record(storedEvent);
+    }
+
+    // Consent updates and replies run alongside the sink deliveries
+    if (keywordMatch) {
+        deliveries.push(runKeywordActions(storedEvent).catch(error => {
+            console.error(`Error running keyword actions for event ${storedEvent.eventId}:`, error.message);
+        }));
+    }
+}
+
+// --- Keyword Actions ---
+// Consent updates and replies of a matched keyword rule. Each outcome is stored in
+// keyword.actions and shown on the event tile. Consent updates that fail with a
+// transient error go through the retry queue like sink deliveries; replies run
+// once, as a retried reply could reach the customer twice.
+async function runKeywordActions(storedEvent) {
+    await Promise.all(keywordRules.pendingActions(storedEvent).map(index => runKeywordAction(storedEvent.eventId, index)));
+}
+
+async function runKeywordAction(eventId, index) {
+    const storedEvent = await eventStore.get(eventId);
+    if (!storedEvent || !storedEvent.keyword) {
+        console.warn(`Event ${eventId} is no longer in the event store - skipping its keyword action.`);
+        return null;
+    }
+    const tenant = tenantFor(storedEvent);
+    const { type, attempts: previousAttempts } = storedEvent.keyword.actions[index];
+    const attempts = (previousAttempts || 0) + 1;
+    let state;
+    try {
+        if (!tenant) {
+            throw new Error(`Tenant ${tenantOf(storedEvent)} is no longer configured`);
+        }
+        const outcome = await keywordRules.runAction(index, {
+            tenant,
+            storedEvent,
+            withConnection: tenant.sfConnectionCache ? fn => tenant.sfConnectionCache.withConnection(fn) : null,
+            customerResolver
+        });
+        state = outcome.skipped
+            ? { status: 'skipped', detail: outcome.skipped }
+            : { status: 'done', detail: outcome.detail };
+    } catch (error) {
+        const failure = error.errors || error;
+        if (type === 'consent' && isTransientFailure(failure) && attempts < retryQueue.maxAttempts) {
+            const nextRetryAt = retryQueue.schedule(keywordRetryKey(eventId, index), attempts);
+            console.warn(`🔁 Keyword consent action for event ${eventId} will be retried (attempt ${attempts + 1}/${retryQueue.maxAttempts}) at ${nextRetryAt}`);
+            state = { status: 'retrying', error: describeFailure(failure), nextRetryAt };
+        } else {
+            console.error(`Keyword ${type} action for event ${eventId} failed:`, error.message);
+            state = { status: 'failed', error: describeFailure(failure) };
+        }
+    }
+    keywordActions.inc({ tenant: tenantOf(storedEvent), rule: storedEvent.keyword.rule, action: type, outcome: state.status });
+    return updateKeywordAction(eventId, index, Object.assign({ type, attempts }, state, { at: new Date().toISOString() }));
+}
+
+// Each outcome replaces the action's previous state
+function updateKeywordAction(eventId, index, state) {
+    return withEventLock(eventId, async () => {
+        const current = await eventStore.get(eventId);
+        if (!current || !current.keyword) {
+            return null;
+        }
+        const actions = current.keyword.actions.slice();
+        actions[index] = state;
+        return updateStoredEvent(eventId, { keyword: Object.assign({}, current.keyword, { actions }) });
+    });
+}
+
+// --- Sink Delivery & Retries ---
+// Each sink of an event is retried on its own, so the retry queue is keyed by
+// "eventId:sink", and keyword consent actions by "eventId:keyword#index"
+const KEYWORD_RETRY = /^keyword#(\d+)$/;
+const retryQueue = createRetryQueue({
+    maxAttempts: Number(SF_RETRY_MAX_ATTEMPTS) || 5,
+    baseDelayMs: Number(SF_RETRY_BASE_DELAY_MS) || 2000,
+    maxDelayMs: Number(SF_RETRY_MAX_DELAY_MS) || 5 * 60 * 1000,
+    run: key => {
+        const [eventId, target] = key.split(':');
+        const keywordAction = KEYWORD_RETRY.exec(target);
+        // Tracked so a shutdown waits for retries already under way
+        return track(keywordAction ? runKeywordAction(eventId, Number(keywordAction[1])) : deliverToSink(eventId, target));
+    }
+});
+
+function retryKey(eventId, sinkName) {
+    return `${eventId}:${sinkName}`;
+}
+
+// "#" cannot appear in a sink name, so these never clash with a sink's key
+function keywordRetryKey(eventId, index) {
+    return `${eventId}:keyword#${index}`;
+}
+
+// Sink states of one event are changed one at a time, so deliveries that
+// finish together cannot overwrite each other's result
+const withEventLock = createKeyedLock();
+
+async function updateSinkStates(eventId, changesBySink, extra = {}) {
+    return withEventLock(eventId, async () => {
+        const storedEvent = await eventStore.get(eventId);
+        if (!storedEvent) {
+            return null;
+        }
+        const states = Object.assign({}, sinkStatesOf(storedEvent));
+        for (const [sinkName, changes] of Object.entries(changesBySink)) {
+            states[sinkName] = Object.assign({}, states[sinkName], changes);
+        }
+        return updateStoredEvent(eventId, Object.assign({ sinks: states }, summarizeSinkStates(states), extra));
+    });
+}
+
+function describeFailure(failure) {
+    if (Array.isArray(failure)) {
+        return failure.map(err => `${err.statusCode || err.errorCode || 'ERROR'}: ${err.message}`).join('; ');
+    }
+    return failure.errorCode ? `${failure.errorCode}: ${failure.message}` : failure.message;
+}
+
+// Deliver a stored event to several sinks at once and return it with their results
+async function deliverToSinks(eventId, sinkNames) {
+    await Promise.all(sinkNames.map(sinkName => deliverToSink(eventId, sinkName)));
+    return eventStore.get(eventId);
+}
+
+// Make one attempt to deliver a stored event to one sink. Transient failures
+// are re-queued with backoff; anything else, or running out of attempts,
+// moves the event to the dead-letter list once its other sinks are done.
+async function deliverToSink(eventId, sinkName) {
+    const storedEvent = await eventStore.get(eventId);
+    if (!storedEvent) {
+        console.warn(`Event ${eventId} is no longer in the event store - skipping delivery.`);
+        return null;
+    }
+
+    const event = storedEvent.payload;
+    const messageId = event.messageId || event.messageKey || 'N/A';
+    const state = sinkStatesOf(storedEvent)[sinkName] || {};
+    const attempts = (state.attempts || 0) + 1;
+    // The sink or tenant may have been removed, or the tenant lost its Salesforce settings, since the event arrived
+    const sink = sinks.get(sinkName);
+    const tenant = tenantFor(storedEvent);
+    const stats = sinkStats.get(sinkName);
+    const countDelivery = outcome => sinkDeliveries.inc({ tenant: tenantOf(storedEvent), sink: sinkName, outcome });
+    let status;
+    let failure;
+    // Extra fields a sink found out while delivering (e.g. the resolved customer), kept even if the write failed
+    let details = {};
 
-                const result = await conn.sobject('WhatsApp_Interaction__c').create(record);
-                
-                if (!result.success) {
-                    console.error('Salesforce record creation failed:', result.errors);
-                    storeEvent(event, 'failed');
-                } else {
-                    console.log(`Successfully created Salesforce record: ${result.id}`);
-                    storeEvent(event, 'sent_to_salesforce');
+    try {
+        if (!sink) {
+            throw new Error(`Sink ${sinkName} is no longer configured`);
+        }
+        if (sink.salesforce && (!tenant || !tenant.sfConnectionCache)) {
+            throw new Error(`Tenant ${tenantOf(storedEvent)} ${tenant ? 'has no Salesforce integration' : 'is no longer configured'}`);
+        }
+        const attempt = async conn => {
+            const endTimer = sink.salesforce ? sfWriteDuration.startTimer({ tenant: tenant.id, event_type: storedEvent.eventType }) : null;
+            let attemptResult;
+            try {
+                attemptResult = await sink.deliver({ tenant, storedEvent, conn, redactor, customerResolver });
+                return attemptResult;
+            } finally {
+                if (endTimer) {
+                    endTimer({ outcome: attemptResult && attemptResult.success ? 'success' : 'failure' });
                 }
-            } else {
-                // Other event types - log only, don't send to Salesforce
-                const reason = !SALESFORCE_ENABLED ? '(Salesforce integration disabled)' : '(not sent to Salesforce)';
-                console.log(`Event type ${eventType} logged ${reason}`);
-                storeEvent(event, 'logged_only');
             }
+        };
+        // Salesforce sinks log in again and retry once if the session was expired or revoked
+        const result = sink.salesforce ? await tenant.sfConnectionCache.withConnection(attempt) : await attempt(null);
+        details = result.details || {};
 
-        } catch (error) {
-            console.error('Error processing event:', error.message);
-            console.error('Failed Event Payload:', JSON.stringify(event));
-            storeEvent(event, 'error');
+        if (result.success) {
+            console.log(`Delivered event ${messageId} to ${sink.label}${result.id ? `: ${result.id}` : ''}`);
+            const deliveredAt = new Date().toISOString();
+            countDelivery('delivered');
+            stats.delivered++;
+            stats.lastDeliveredAt = deliveredAt;
+            return updateSinkStates(eventId, {
+                [sinkName]: { status: 'delivered', attempts, recordId: result.id || null, deliveredAt, lastError: null, nextRetryAt: null }
+            }, Object.assign({}, details, sink.type === 'salesforce' ? { salesforceId: result.id } : {}));
+        }
+
+        console.error(`${sink.label} write failed:`, result.errors);
+        status = 'failed';
+        failure = result.errors;
+    } catch (error) {
+        console.error(`Error delivering event to ${sink ? sink.label : sinkName}:`, error.message);
+        console.error('Failed Event Payload:', JSON.stringify(redactor.redact(event, 'logs')));
+        status = 'error';
+        failure = error;
+    }
+
+    const lastError = describeFailure(failure);
+
+    if (isTransientFailure(failure) && attempts < retryQueue.maxAttempts) {
+        const nextRetryAt = retryQueue.schedule(retryKey(eventId, sinkName), attempts);
+        console.warn(`🔁 Event ${eventId} will be retried on ${sinkName} (attempt ${attempts + 1}/${retryQueue.maxAttempts}) at ${nextRetryAt}`);
+        countDelivery('retrying');
+        return updateSinkStates(eventId, { [sinkName]: { status: 'retrying', attempts, lastError, nextRetryAt } }, details);
+    }
+
+    console.error(`☠️  Delivery of event ${eventId} to ${sinkName} moved to the dead-letter list after ${attempts} attempt(s): ${lastError}`);
+    countDelivery('failed');
+    if (stats) {
+        stats.failed++;
+        stats.lastError = lastError;
+    }
+    return updateSinkStates(eventId, { [sinkName]: { status, attempts, lastError, nextRetryAt: null } }, details);
+}
+
+// Re-deliver a stored event to every sink that has not received it, starting
+// a fresh round of retries. Errors carry an HTTP status code for the replay endpoints.
+async function replayEvent(eventId) {
+    const storedEvent = await eventStore.get(eventId);
+    if (!storedEvent) {
+        throw Object.assign(new Error(`Event ${eventId} not found`), { statusCode: 404 });
+    }
+    if (storedEvent.status === 'duplicate') {
+        throw Object.assign(new Error(`Event ${eventId} is a duplicate of ${storedEvent.duplicateOf}`), { statusCode: 409 });
+    }
+    const states = sinkStatesOf(storedEvent);
+    const targets = Object.keys(states).filter(sinkName => states[sinkName].status !== 'delivered');
+    if (!Object.keys(states).length) {
+        throw Object.assign(new Error(`${storedEvent.eventType} events are not delivered to any output sink`), { statusCode: 400 });
+    }
+    if (!targets.length) {
+        throw Object.assign(new Error(`Event ${eventId} was already delivered to every output sink`), { statusCode: 409 });
+    }
+    const missing = targets.filter(sinkName => !sinks.has(sinkName));
+    if (missing.length) {
+        throw Object.assign(new Error(`Sink ${missing.join(', ')} is no longer configured`), { statusCode: 409 });
+    }
+    const tenant = tenantFor(storedEvent);
+    if (targets.some(sinkName => sinks.get(sinkName).salesforce)) {
+        if (!tenant) {
+            throw Object.assign(new Error(`Tenant ${tenantOf(storedEvent)} is no longer configured`), { statusCode: 409 });
+        }
+        if (!tenant.salesforceEnabled) {
+            throw Object.assign(new Error(`Salesforce integration is disabled${tenant.id === DEFAULT_TENANT ? '' : ` for tenant ${tenant.id}`}`), { statusCode: 409 });
+        }
+    }
+
+    console.log(`🔄 ${tenantLabel(tenantOf(storedEvent))}Replaying event ${eventId} to ${targets.join(', ')}`);
+    const reset = {};
+    for (const sinkName of targets) {
+        retryQueue.cancel(retryKey(eventId, sinkName));
+        reset[sinkName] = { status: 'pending', attempts: 0, lastError: null, nextRetryAt: null };
+    }
+    await updateSinkStates(eventId, reset);
+    return deliverToSinks(eventId, targets);
+}
+
+// Re-schedule sink deliveries and keyword actions that were pending or waiting
+// for a retry when the process stopped
+async function resumeRetries() {
+    const events = await eventStore.list();
+    let resumed = 0;
+    let resumedActions = 0;
+    for (const storedEvent of events) {
+        if (keywordRules && storedEvent.keyword) {
+            storedEvent.keyword.actions.forEach((state, index) => {
+                if (state.status === 'pending' || state.status === 'retrying') {
+                    const delayMs = state.nextRetryAt ? Date.parse(state.nextRetryAt) - Date.now() : 0;
+                    retryQueue.schedule(keywordRetryKey(storedEvent.eventId, index), state.attempts || 0, delayMs);
+                    resumedActions++;
+                }
+            });
+        }
+        if (storedEvent.status !== 'retrying' && storedEvent.status !== 'processing') {
+            continue;
         }
+        for (const [sinkName, state] of Object.entries(sinkStatesOf(storedEvent))) {
+            if (state.status === 'pending' || state.status === 'retrying') {
+                const delayMs = state.nextRetryAt ? Date.parse(state.nextRetryAt) - Date.now() : 0;
+                retryQueue.schedule(retryKey(storedEvent.eventId, sinkName), state.attempts || 0, delayMs);
+                resumed++;
+            }
+        }
+    }
+    if (resumed) {
+        console.log(`🔁 Resumed ${resumed} pending sink deliver${resumed === 1 ? 'y' : 'ies'}`);
+    }
+    if (resumedActions) {
+        console.log(`🔁 Resumed ${resumedActions} pending keyword action(s)`);
+    }
+}
+
+// --- Graceful Shutdown ---
+// On SIGTERM (Heroku gives 30 seconds) or SIGINT: stop taking callbacks, let
+// payloads in progress finish for up to SHUTDOWN_TIMEOUT_MS (default 25000)
+// and flush the event store. Whatever is still unfinished stays in the intake
+// journal and is processed on the next start.
+let server = null;
+
+async function shutdown(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    const timeoutMs = SHUTDOWN_TIMEOUT_MS === undefined || SHUTDOWN_TIMEOUT_MS === '' ? 25000 : Number(SHUTDOWN_TIMEOUT_MS);
+    console.log(`🛑 ${signal} received - draining ${inFlight.size} payload(s) in progress (up to ${timeoutMs} ms)`);
+
+    if (server) {
+        server.close();
+    }
+    // Live dashboards reconnect to the next dyno
+    for (const client of streamClients) {
+        client.end();
     }
+    if (alertManager) {
+        alertManager.stop();
+    }
+    // Waiting retries stay scheduled in the event store and are resumed on the next start
+    retryQueue.stop();
+
+    let timer;
+    const deadline = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const drained = await Promise.race([Promise.all(Array.from(inFlight)).then(() => true), deadline]);
+    clearTimeout(timer);
+    if (drained) {
+        console.log('✅ All payloads in progress finished');
+    } else {
+        console.warn(`⚠️  Shutdown deadline reached with ${inFlight.size} payload(s) unfinished${intakeJournal ? ' - they stay in the intake journal for the next start' : ' and no intake journal - they are lost'}`);
+    }
+
+    try {
+        await eventStore.close();
+        await optOutStore.close();
+    } catch (error) {
+        console.error(`❌ Failed to close ${eventStore.type} event or opt-out store:`, error.message);
+    }
+    process.exit(0);
 }
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // --- Start Server ---
-app.listen(PORT, () => {
-    console.log(`ENS Handler listening on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Salesforce Instance: ${SF_INSTANCE_URL}`);
-});
+let journalEntries = [];
+eventStore.init()
+    .then(() => optOutStore.init())
+    .then(() => seedOptOuts())
+    .then(() => seedDeduplicator())
+    .then(() => resumeRetries())
+    .then(async () => {
+        if (intakeJournal) {
+            journalEntries = await intakeJournal.init();
+        }
+    })
+    .then(() => {
+        server = app.listen(PORT, () => {
+            console.log(`ENS Handler listening on port ${PORT}`);
+            console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+            for (const tenant of tenants.values()) {
+                if (tenant.id === DEFAULT_TENANT || tenant.salesforceEnabled) {
+                    console.log(`${tenant.label}Salesforce Instance: ${tenant.env.SF_INSTANCE_URL}`);
+                }
+            }
+            console.log(`Event store: ${eventStore.type}`);
+            console.log(intakeJournal ? `Intake journal: ${intakeJournal.dir}` : '⚠️  Intake journal disabled (INTAKE_JOURNAL=false) - events in progress are lost if the process stops');
+            if (alertManager) {
+                alertManager.start();
+            }
+            replayJournal(journalEntries).catch(error => {
+                console.error('❌ Intake journal replay failed:', error.message);
+            });
+        });
+    })
+    .catch(error => {
+        console.error(`❌ Failed to initialise ${eventStore.type} event store, opt-out store or intake journal:`, error.message);
+        process.exit(1);
+    });
 
@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { expandEnv } = require('./config');
+
+// --- Threshold Alerts ---
+// Rules are evaluated against the events processPayload() stores and against
+// Salesforce authentication results. A rule notifies its channels once when it
+// starts firing and once when it resolves; a rule that fires again within its
+// cooldown is not notified again. Loaded from ALERT_RULES_FILE (JSON or YAML)
+// or inline ALERT_RULES JSON; see alerts.example.json.
+//
+// Rule types:
+//   event_count              more than `threshold` events (of `eventType` and/or `status`) in `windowMinutes`
+//   error_rate               more than `threshold` percent of finished events failed in `windowMinutes`
+//                            (ignored until at least `minEvents` events, default 10)
+//   salesforce_auth_failure  Salesforce authentication failed; resolves once every tenant that failed
+//                            has logged in successfully again
+//   no_events                no events received for `minutes`
+//
+// Channel types: slack (incoming webhook `url`), webhook (JSON POST to `url`,
+// optional `headers`) and email (`to`, optional `from`, sent through SMTP_URL).
+// "${NAME}" in the configuration is replaced with the NAME environment variable
+// before it is validated, so webhook URLs and addresses can stay out of the rules file.
+
+const RULE_TYPES = ['event_count', 'error_rate', 'salesforce_auth_failure', 'no_events'];
+const CHANNEL_TYPES = ['slack', 'webhook', 'email'];
+const FAILED_STATUSES = ['failed', 'error'];
+// Statuses an event can finish with; processing and retrying events are still in flight
+const FINAL_STATUSES = ['sent_to_salesforce', 'delivered', 'logged_only', 'failed', 'error', 'duplicate'];
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function validateAlertConfig(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['alert configuration must be an object with "channels" and "rules"'];
+    }
+    const channels = config.channels || {};
+    if (typeof channels !== 'object' || Array.isArray(channels)) {
+        errors.push('channels must be an object keyed by channel name');
+    } else {
+        for (const [name, channel] of Object.entries(channels)) {
+            const where = `channels["${name}"]`;
+            if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+                errors.push(`${where}.type must be one of ${CHANNEL_TYPES.join(', ')}`);
+                continue;
+            }
+            if (channel.type === 'email' && !channel.to) {
+                errors.push(`${where}.to must list at least one address`);
+            } else if (channel.type !== 'email' && (typeof channel.url !== 'string' || !/^https?:\/\//.test(channel.url))) {
+                errors.push(`${where}.url must be an http(s) URL`);
+            }
+        }
+    }
+
+    if (!Array.isArray(config.rules) || !config.rules.length) {
+        errors.push('rules must be a non-empty list');
+        return errors;
+    }
+    const names = new Set();
+    config.rules.forEach((rule, i) => {
+        const where = `rules[${i}]`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof rule.name !== 'string' || !rule.name) {
+            errors.push(`${where}.name is required`);
+        } else if (names.has(rule.name)) {
+            errors.push(`${where}.name "${rule.name}" is used by another rule`);
+        } else {
+            names.add(rule.name);
+        }
+        if (!RULE_TYPES.includes(rule.type)) {
+            errors.push(`${where}.type "${rule.type}" is not one of ${RULE_TYPES.join(', ')}`);
+        }
+        if (rule.type === 'event_count' || rule.type === 'error_rate') {
+            if (!isPositiveNumber(rule.windowMinutes)) {
+                errors.push(`${where}.windowMinutes must be a positive number`);
+            }
+            if (typeof rule.threshold !== 'number' || rule.threshold < 0) {
+                errors.push(`${where}.threshold must be a number`);
+            }
+        }
+        if (rule.type === 'error_rate' && rule.threshold > 100) {
+            errors.push(`${where}.threshold is a percentage and must not exceed 100`);
+        }
+        if (rule.type === 'no_events' && !isPositiveNumber(rule.minutes)) {
+            errors.push(`${where}.minutes must be a positive number`);
+        }
+        if (rule.cooldownMinutes !== undefined && !(typeof rule.cooldownMinutes === 'number' && rule.cooldownMinutes >= 0)) {
+            errors.push(`${where}.cooldownMinutes must be zero or a positive number`);
+        }
+        if (!Array.isArray(rule.channels) || !rule.channels.length) {
+            errors.push(`${where}.channels must list at least one channel`);
+        } else {
+            for (const channel of rule.channels) {
+                if (!Object.prototype.hasOwnProperty.call(channels, channel)) {
+                    errors.push(`${where}.channels refers to unknown channel "${channel}"`);
+                }
+            }
+        }
+    });
+    return errors;
+}
+
+function loadAlertConfig(env) {
+    if (env.ALERT_RULES_FILE) {
+        const contents = fs.readFileSync(env.ALERT_RULES_FILE, 'utf8');
+        const extension = path.extname(env.ALERT_RULES_FILE).toLowerCase();
+        return {
+            source: env.ALERT_RULES_FILE,
+            config: extension === '.yaml' || extension === '.yml' ? require('js-yaml').load(contents) : JSON.parse(contents)
+        };
+    }
+    if (env.ALERT_RULES) {
+        return { source: 'ALERT_RULES', config: JSON.parse(env.ALERT_RULES) };
+    }
+    return null;
+}
+
+function describeRule(rule) {
+    switch (rule.type) {
+        case 'event_count':
+            return `more than ${rule.threshold} ${[rule.eventType, rule.status].filter(Boolean).join(' / ') || 'events'} in ${rule.windowMinutes} min`;
+        case 'error_rate':
+            return `error rate above ${rule.threshold}% over ${rule.windowMinutes} min`;
+        case 'salesforce_auth_failure':
+            return 'Salesforce authentication failing';
+        case 'no_events':
+            return `no events for ${rule.minutes} min`;
+        default:
+            return rule.type;
+    }
+}
+
+function createChannelSender(env) {
+    let mailer = null;
+
+    function getMailer() {
+        if (!env.SMTP_URL) {
+            throw new Error('SMTP_URL is not set');
+        }
+        if (!mailer) {
+            mailer = require('nodemailer').createTransport(env.SMTP_URL);
+        }
+        return mailer;
+    }
+
+    return async function send(channel, notification) {
+        const icon = notification.state === 'firing' ? '🚨' : '✅';
+        const title = `${icon} [${notification.state.toUpperCase()}] ${notification.rule}`;
+        const text = `${title}\n${notification.summary}`;
+
+        if (channel.type === 'slack') {
+            await axios.post(channel.url, { text }, { timeout: 10000 });
+        } else if (channel.type === 'webhook') {
+            await axios.post(channel.url, notification, { timeout: 10000, headers: channel.headers || {} });
+        } else {
+            await getMailer().sendMail({
+                from: channel.from || env.ALERT_EMAIL_FROM || 'whatsapp-ens-monitor@localhost',
+                to: channel.to,
+                subject: title,
+                text
+            });
+        }
+    };
+}
+
+// `send(channel, notification)` delivers a notification; callers may pass their own
+function createAlertManager(env = process.env, { send, now = Date.now } = {}) {
+    let loaded;
+    try {
+        loaded = loadAlertConfig(env);
+    } catch (error) {
+        throw new Error(`Could not read alert rules: ${error.message}`);
+    }
+    if (!loaded) {
+        return null;
+    }
+    // Validated after expansion, so a channel whose "${NAME}" is unset is reported here
+    const config = expandEnv(loaded.config, env);
+    const errors = validateAlertConfig(config);
+    if (errors.length) {
+        throw new Error(`Invalid alert rules (${loaded.source}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const channels = config.channels || {};
+    const deliver = send || createChannelSender(env);
+    const startedAt = now();
+    const rules = config.rules.map(rule => ({
+        config: rule,
+        description: describeRule(rule),
+        cooldownMs: (rule.cooldownMinutes === undefined ? 15 : rule.cooldownMinutes) * 60 * 1000,
+        samples: [], // { at, status } of events inside the rule's window
+        firing: false,
+        since: null,
+        value: null,
+        notified: false,
+        lastNotifiedAt: null
+    }));
+    let lastEventAt = null;
+    // Latest authentication failure per tenant
+    const authFailures = new Map();
+    let timer = null;
+
+    // event_count rules with a status count events reaching it; without one they count arrivals
+    function countsTowards(rule, storedEvent, isNew) {
+        if (rule.type === 'event_count') {
+            if (rule.eventType && rule.eventType !== storedEvent.eventType) {
+                return false;
+            }
+            return rule.status ? storedEvent.status === rule.status : isNew && storedEvent.status !== 'duplicate';
+        }
+        return rule.type === 'error_rate' && FINAL_STATUSES.includes(storedEvent.status) && storedEvent.status !== 'duplicate';
+    }
+
+    function prune(state, windowMs, at) {
+        while (state.samples.length && state.samples[0].at <= at - windowMs) {
+            state.samples.shift();
+        }
+    }
+
+    // Returns { firing, value, summary } for a rule at time `at`
+    function check(state, at) {
+        const rule = state.config;
+        if (rule.type === 'event_count') {
+            prune(state, rule.windowMinutes * 60 * 1000, at);
+            const count = state.samples.length;
+            return { firing: count > rule.threshold, value: count, summary: `${count} matching events in the last ${rule.windowMinutes} min (threshold ${rule.threshold})` };
+        }
+        if (rule.type === 'error_rate') {
+            prune(state, rule.windowMinutes * 60 * 1000, at);
+            const total = state.samples.length;
+            const failed = state.samples.filter(s => FAILED_STATUSES.includes(s.status)).length;
+            const rate = total ? Math.round((failed / total) * 1000) / 10 : 0;
+            const minEvents = rule.minEvents === undefined ? 10 : rule.minEvents;
+            return { firing: total >= minEvents && rate > rule.threshold, value: rate, summary: `${failed} of ${total} events failed in the last ${rule.windowMinutes} min (${rate}%, threshold ${rule.threshold}%)` };
+        }
+        if (rule.type === 'salesforce_auth_failure') {
+            const failures = Array.from(authFailures.entries()).map(([tenant, failure]) => (tenant === 'default' ? failure.message : `${tenant}: ${failure.message}`));
+            return { firing: failures.length > 0, value: failures.length, summary: failures.length ? `Salesforce authentication failed: ${failures.join('; ')}` : 'Salesforce authentication succeeded' };
+        }
+        const quietMs = at - (lastEventAt || startedAt);
+        const quietMinutes = Math.floor(quietMs / 60000);
+        return {
+            firing: quietMs >= rule.minutes * 60 * 1000,
+            value: quietMinutes,
+            summary: lastEventAt ? `No events received since ${new Date(lastEventAt).toISOString()} (${quietMinutes} min)` : `No events received since startup (${quietMinutes} min)`
+        };
+    }
+
+    function notify(state, notification) {
+        for (const name of state.config.channels) {
+            const channel = channels[name];
+            deliver(channel, notification).then(
+                () => console.log(`🔔 Alert "${notification.rule}" ${notification.state} sent to ${name}`),
+                error => console.error(`❌ Failed to send alert "${notification.rule}" to ${name}:`, error.message)
+            );
+        }
+    }
+
+    function evaluate(state, at = now()) {
+        const result = check(state, at);
+        state.value = result.value;
+        if (result.firing === state.firing) {
+            return;
+        }
+
+        state.firing = result.firing;
+        const notification = {
+            service: 'whatsapp-ens-monitor',
+            rule: state.config.name,
+            type: state.config.type,
+            condition: state.description,
+            state: result.firing ? 'firing' : 'resolved',
+            value: result.value,
+            summary: result.summary,
+            startedAt: new Date(result.firing ? at : state.since).toISOString(),
+            resolvedAt: result.firing ? null : new Date(at).toISOString()
+        };
+
+        if (result.firing) {
+            state.since = at;
+            // Within the cooldown the rule is tracked as firing but nobody is notified again
+            state.notified = state.lastNotifiedAt === null || at - state.lastNotifiedAt >= state.cooldownMs;
+            console.warn(`🚨 Alert "${state.config.name}" firing: ${result.summary}${state.notified ? '' : ' (in cooldown, not notified)'}`);
+            if (state.notified) {
+                state.lastNotifiedAt = at;
+                notify(state, notification);
+            }
+        } else {
+            console.log(`✅ Alert "${state.config.name}" resolved: ${result.summary}`);
+            // Only resolve what was announced
+            if (state.notified) {
+                notify(state, notification);
+            }
+            state.since = null;
+            state.notified = false;
+        }
+    }
+
+    function evaluateAll() {
+        const at = now();
+        rules.forEach(state => evaluate(state, at));
+    }
+
+    return {
+        source: loaded.source,
+
+        // Call with every stored event and every status change
+        recordEvent(storedEvent, { isNew = false } = {}) {
+            const at = now();
+            if (isNew) {
+                lastEventAt = at;
+            }
+            for (const state of rules) {
+                if (countsTowards(state.config, storedEvent, isNew)) {
+                    state.samples.push({ at, status: storedEvent.status });
+                }
+            }
+            evaluateAll();
+        },
+
+        // `tenant` identifies the Salesforce org that was logged in to
+        recordAuthResult(error, tenant = 'default') {
+            if (error) {
+                authFailures.set(tenant, { message: error.message, at: now() });
+            } else {
+                authFailures.delete(tenant);
+            }
+            evaluateAll();
+        },
+
+        evaluate: evaluateAll,
+
+        // Periodic checks catch windows emptying out and quiet periods
+        start() {
+            if (!timer) {
+                timer = setInterval(evaluateAll, CHECK_INTERVAL_MS);
+                timer.unref();
+            }
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+
+        status() {
+            return rules.map(state => ({
+                name: state.config.name,
+                type: state.config.type,
+                condition: state.description,
+                channels: state.config.channels,
+                state: state.firing ? 'firing' : 'ok',
+                since: state.since ? new Date(state.since).toISOString() : null,
+                value: state.value,
+                lastNotifiedAt: state.lastNotifiedAt === null ? null : new Date(state.lastNotifiedAt).toISOString()
+            }));
+        }
+    };
+}
+
+module.exports = {
+    createAlertManager,
+    validateAlertConfig
+};
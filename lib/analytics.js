@@ -0,0 +1,176 @@
+// --- Delivery Funnel Analytics ---
+// Joins OttSent, OttDelivered, OttRead and OttFailed events on their message
+// key and reports, for the messages first seen inside a time window, how many
+// were delivered, read or failed, how long delivery and reading took, and why
+// messages failed. Works on the summary fields storeEvent() extracts; /api/analytics
+// passes them in as redacted for the "api" target.
+
+const LIFECYCLE_STEPS = {
+    'EngagementEvents.OttSent': 'sent',
+    'EngagementEvents.OttDelivered': 'delivered',
+    'EngagementEvents.OttRead': 'read',
+    'EngagementEvents.OttFailed': 'failed'
+};
+
+// Selectable windows for the dashboard; `from`/`to` can be given instead
+const WINDOWS = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+const PERCENTILES = [50, 90, 95, 99];
+
+// One entry per outbound message key with the time of each lifecycle step
+function joinMessages(events) {
+    const messages = new Map();
+    for (const event of events) {
+        const step = LIFECYCLE_STEPS[event.eventType];
+        if (!step || event.status === 'duplicate') {
+            continue;
+        }
+        let message = messages.get(event.id);
+        if (!message) {
+            message = { id: event.id, firstSeen: event.timestamp, journeyName: null, activityName: null, sendMethod: null, failureReason: null };
+            messages.set(event.id, message);
+        }
+        // Keep the earliest time if ENS reported a step more than once
+        if (!message[step] || event.timestamp < message[step]) {
+            message[step] = event.timestamp;
+        }
+        if (event.timestamp < message.firstSeen) {
+            message.firstSeen = event.timestamp;
+        }
+        message.journeyName = message.journeyName || event.journeyName;
+        message.activityName = message.activityName || event.activityName;
+        if (event.sendMethod && event.sendMethod !== 'N/A') {
+            message.sendMethod = message.sendMethod || event.sendMethod;
+        }
+        if (step === 'failed') {
+            message.failureReason = message.failureReason || event.failureReason;
+        }
+    }
+    return Array.from(messages.values());
+}
+
+// Nearest-rank percentiles of a list of seconds
+function percentiles(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const result = { count: sorted.length };
+    for (const p of PERCENTILES) {
+        result[`p${p}`] = sorted.length ? sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)] : null;
+    }
+    return result;
+}
+
+function secondsBetween(from, to) {
+    return Math.max(0, (Date.parse(to) - Date.parse(from)) / 1000);
+}
+
+function rate(count, total) {
+    return total ? Math.round((count / total) * 1000) / 10 : null;
+}
+
+// Funnel counts, rates (percent of messages) and latency percentiles for a group of messages
+function summarize(messages) {
+    const delivered = messages.filter(m => m.delivered || m.read);
+    const read = messages.filter(m => m.read);
+    const failed = messages.filter(m => m.failed);
+    return {
+        messages: messages.length,
+        sent: messages.filter(m => m.sent).length,
+        delivered: delivered.length,
+        read: read.length,
+        failed: failed.length,
+        deliveryRate: rate(delivered.length, messages.length),
+        readRate: rate(read.length, messages.length),
+        failureRate: rate(failed.length, messages.length),
+        latency: {
+            sendToDelivery: percentiles(messages.filter(m => m.sent && m.delivered).map(m => secondsBetween(m.sent, m.delivered))),
+            deliveryToRead: percentiles(messages.filter(m => m.delivered && m.read).map(m => secondsBetween(m.delivered, m.read)))
+        }
+    };
+}
+
+function groupBy(messages, keyOf) {
+    const groups = new Map();
+    for (const message of messages) {
+        const key = keyOf(message);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(message);
+    }
+    return groups;
+}
+
+// Resolve ?window= or ?from=/&to= into an ISO range; throws 400-coded errors
+function parseWindow(query = {}, now = Date.now()) {
+    const badRequest = message => Object.assign(new Error(message), { statusCode: 400 });
+    const parseTime = (value, name) => {
+        const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        if (!Number.isFinite(time)) {
+            throw badRequest(`"${name}" must be an ISO 8601 date or Unix milliseconds`);
+        }
+        return time;
+    };
+
+    if (query.from || query.to) {
+        const from = query.from ? parseTime(query.from, 'from') : 0;
+        const to = query.to ? parseTime(query.to, 'to') : now;
+        if (from > to) {
+            throw badRequest('"from" must be before "to"');
+        }
+        return { window: 'custom', from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+    }
+
+    const window = query.window || '24h';
+    if (window === 'all') {
+        return { window, from: null, to: new Date(now).toISOString() };
+    }
+    if (!WINDOWS[window]) {
+        throw badRequest(`"window" must be one of ${Object.keys(WINDOWS).join(', ')} or all`);
+    }
+    return { window, from: new Date(now - WINDOWS[window]).toISOString(), to: new Date(now).toISOString() };
+}
+
+// `sendMethod` optionally narrows the report to one send method
+function computeAnalytics(events, range, { sendMethod } = {}) {
+    const joined = joinMessages(events);
+    const messages = joined.filter(m =>
+        (!range.from || m.firstSeen >= range.from) && m.firstSeen <= range.to &&
+        (!sendMethod || m.sendMethod === sendMethod)
+    );
+
+    const byJourney = Array.from(groupBy(messages, m => m.journeyName || null).entries())
+        .map(([journeyName, group]) => Object.assign({ journeyName }, summarize(group)))
+        .sort((a, b) => b.messages - a.messages);
+
+    const byActivity = Array.from(groupBy(messages, m => JSON.stringify([m.journeyName || null, m.activityName || null])).entries())
+        .map(([key, group]) => {
+            const [journeyName, activityName] = JSON.parse(key);
+            return Object.assign({ journeyName, activityName }, summarize(group));
+        })
+        .sort((a, b) => b.messages - a.messages);
+
+    const failedMessages = messages.filter(m => m.failed);
+    const failureReasons = Array.from(groupBy(failedMessages, m => m.failureReason || 'Unknown').entries())
+        .map(([reason, group]) => ({ reason, count: group.length, share: rate(group.length, failedMessages.length) }))
+        .sort((a, b) => b.count - a.count);
+
+    return {
+        range,
+        sendMethod: sendMethod || null,
+        sendMethods: Array.from(new Set(joined.map(m => m.sendMethod).filter(Boolean))).sort(),
+        totals: summarize(messages),
+        byJourney,
+        byActivity,
+        failureReasons
+    };
+}
+
+module.exports = {
+    WINDOWS,
+    parseWindow,
+    computeAnalytics
+};
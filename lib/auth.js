@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { maskValue } = require('./redaction');
+
+// --- Dashboard & API Authentication ---
+// AUTH_MODE selects how users sign in to /dashboard and /api/*:
+//   none    - no authentication, everyone is an operator (default, not for production)
+//   basic   - HTTP Basic auth against AUTH_USERS
+//   session - login form against AUTH_USERS, signed session cookie
+//   oidc    - OpenID Connect authorization code flow, signed session cookie
+// /ens/callback and /health never go through this module.
+//
+// AUTH_USERS is a comma-separated list of username:password:role entries.
+
+const ROLES = ['viewer', 'operator'];
+const SESSION_COOKIE = 'ens_session';
+const OIDC_STATE_COOKIE = 'ens_oidc';
+
+function hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function parseUsers(value = '') {
+    const users = new Map();
+    for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+        const parts = entry.split(':');
+        const username = parts[0];
+        const role = parts.length > 2 ? parts.pop() : 'viewer';
+        const password = parts.slice(1).join(':');
+        if (!username || !password || !ROLES.includes(role)) {
+            throw new Error(`Invalid AUTH_USERS entry for "${username || '?'}" (expected username:password:role with role ${ROLES.join(' or ')})`);
+        }
+        users.set(username, { password, role });
+    }
+    return users;
+}
+
+// Compare digests so the comparison takes the same time whatever the input
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// A cookie that is not valid URI encoding is ignored
+function parseCookies(req) {
+    const cookies = {};
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // Malformed, e.g. a stray "%"
+            }
+        }
+    }
+    return cookies;
+}
+
+function setCookie(req, res, name, value, maxAgeSeconds) {
+    const attributes = [
+        `${name}=${encodeURIComponent(value)}`,
+        'Path=/',
+        'HttpOnly',
+        // Lax keeps the cookie off cross-site POSTs while allowing the OIDC redirect back
+        'SameSite=Lax',
+        `Max-Age=${maxAgeSeconds}`
+    ];
+    if (req.secure) {
+        attributes.push('Secure');
+    }
+    res.append('Set-Cookie', attributes.join('; '));
+}
+
+// For every route that changes something: only application/json is accepted. A
+// browser cannot send that cross-site without a CORS preflight, so another site
+// cannot use a signed-in user's cookies or Basic credentials to call the route.
+// The header is checked rather than the body, as DELETE requests have none
+function requireJson(req, res, next) {
+    if (!/^application\/json\b/i.test(req.get('content-type') || '')) {
+        return res.status(415).json({ error: 'Send the request with Content-Type: application/json' });
+    }
+    next();
+}
+
+// Mask all but the last four characters, e.g. "*******4567"
+function maskIdentifier(value) {
+    return !value || value === 'N/A' ? value : maskValue(value);
+}
+
+// What a user may see of a stored event: viewers get masked identifiers and no raw payload
+function presentEvent(storedEvent, user) {
+    if (hasRole(user, 'operator')) {
+        return storedEvent;
+    }
+    return Object.assign({}, storedEvent, {
+        mobileNumber: maskIdentifier(storedEvent.mobileNumber),
+        contactKey: maskIdentifier(storedEvent.contactKey),
+        payload: null,
+        payloadHidden: true
+    });
+}
+
+function createAuth(env = process.env) {
+    const mode = (env.AUTH_MODE || 'none').toLowerCase();
+    if (!['none', 'basic', 'session', 'oidc'].includes(mode)) {
+        throw new Error(`Unknown AUTH_MODE "${mode}" (expected none, basic, session or oidc)`);
+    }
+
+    const users = parseUsers(env.AUTH_USERS);
+    if ((mode === 'basic' || mode === 'session') && users.size === 0) {
+        throw new Error(`AUTH_MODE=${mode} requires AUTH_USERS to be set`);
+    }
+
+    const sessionHours = Number(env.AUTH_SESSION_HOURS) || 12;
+    let sessionSecret = env.SESSION_SECRET;
+    if (!sessionSecret && (mode === 'session' || mode === 'oidc')) {
+        // Works, but logs everyone out on restart and breaks with more than one dyno
+        sessionSecret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️  SESSION_SECRET not set - using a random secret; sessions will not survive a restart');
+    }
+
+    const oidc = {
+        issuer: env.OIDC_ISSUER,
+        clientId: env.OIDC_CLIENT_ID,
+        clientSecret: env.OIDC_CLIENT_SECRET,
+        redirectUri: env.OIDC_REDIRECT_URI,
+        scope: env.OIDC_SCOPE || 'openid profile email',
+        roleClaim: env.OIDC_ROLE_CLAIM || 'roles',
+        operatorValues: (env.OIDC_OPERATOR_VALUES || 'operator').split(',').map(v => v.trim()).filter(Boolean),
+        discovery: null
+    };
+    if (mode === 'oidc' && (!oidc.issuer || !oidc.clientId)) {
+        throw new Error('AUTH_MODE=oidc requires OIDC_ISSUER and OIDC_CLIENT_ID to be set');
+    }
+
+    // --- Signed values (session and OIDC state cookies) ---
+    function sign(data) {
+        const body = Buffer.from(JSON.stringify(data)).toString('base64url');
+        const signature = crypto.createHmac('sha256', sessionSecret).update(body).digest('base64url');
+        return `${body}.${signature}`;
+    }
+
+    function unsign(value) {
+        if (!value || !sessionSecret) {
+            return null;
+        }
+        const [body, signature] = value.split('.');
+        if (!body || !signature) {
+            return null;
+        }
+        const expected = crypto.createHmac('sha256', sessionSecret).update(body).digest('base64url');
+        if (!safeEqual(signature, expected)) {
+            return null;
+        }
+        try {
+            const data = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            return data.exp && data.exp > Date.now() ? data : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function checkPassword(username, password) {
+        const user = users.get(username);
+        // Always compare so unknown usernames take as long as wrong passwords
+        const matches = safeEqual(password, user ? user.password : crypto.randomBytes(16).toString('hex'));
+        return user && matches ? { name: username, role: user.role } : null;
+    }
+
+    function startSession(req, res, user) {
+        const exp = Date.now() + sessionHours * 60 * 60 * 1000;
+        setCookie(req, res, SESSION_COOKIE, sign({ name: user.name, role: user.role, exp }), sessionHours * 60 * 60);
+    }
+
+    function identify(req) {
+        if (mode === 'none') {
+            return { name: 'anonymous', role: 'operator' };
+        }
+        if (mode === 'basic') {
+            const header = req.headers.authorization || '';
+            if (!header.startsWith('Basic ')) {
+                return null;
+            }
+            const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+            const index = decoded.indexOf(':');
+            return index < 0 ? null : checkPassword(decoded.slice(0, index), decoded.slice(index + 1));
+        }
+        const session = unsign(parseCookies(req)[SESSION_COOKIE]);
+        return session ? { name: session.name, role: session.role } : null;
+    }
+
+    // Reject requests without the role. API routes get JSON errors; pages redirect to /login.
+    function requireRole(role) {
+        return (req, res, next) => {
+            const user = identify(req);
+            if (!user) {
+                if (mode === 'basic') {
+                    res.set('WWW-Authenticate', 'Basic realm="WhatsApp ENS Monitor", charset="UTF-8"');
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+                if (req.path.startsWith('/api/')) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+                return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+            }
+            if (!hasRole(user, role)) {
+                return res.status(403).json({ error: `The ${role} role is required` });
+            }
+            req.user = user;
+            next();
+        };
+    }
+
+    // --- OIDC ---
+    async function discover() {
+        if (!oidc.discovery) {
+            const issuer = oidc.issuer.replace(/\/$/, '');
+            const response = await axios.get(`${issuer}/.well-known/openid-configuration`);
+            oidc.discovery = response.data;
+        }
+        return oidc.discovery;
+    }
+
+    async function verifyIdToken(idToken, nonce) {
+        const discovery = await discover();
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new Error('ID token is not a JWT');
+        }
+        const jwks = (await axios.get(discovery.jwks_uri)).data;
+        const jwk = jwks.keys.find(key => !decoded.header.kid || key.kid === decoded.header.kid);
+        if (!jwk) {
+            throw new Error(`No signing key found for kid ${decoded.header.kid}`);
+        }
+        const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+            algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384'],
+            audience: oidc.clientId,
+            issuer: discovery.issuer
+        });
+        if (claims.nonce !== nonce) {
+            throw new Error('ID token nonce does not match');
+        }
+        return claims;
+    }
+
+    function roleFromClaims(claims) {
+        const value = claims[oidc.roleClaim];
+        const values = Array.isArray(value) ? value : [value];
+        return values.some(v => oidc.operatorValues.includes(v)) ? 'operator' : 'viewer';
+    }
+
+    function redirectUriFor(req) {
+        return oidc.redirectUri || `${req.protocol}://${req.get('host')}/auth/callback`;
+    }
+
+    // Only redirect back to paths on this site
+    function safeNext(next) {
+        return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/dashboard';
+    }
+
+    function loginPage(error, next) {
+        return `<!DOCTYPE html>
+<html class="dark" lang="en"><head>
+<meta charset="utf-8"/>
+<meta content="width=device-width, initial-scale=1.0" name="viewport"/>
+<title>Sign in - WhatsApp ENS Monitor</title>
+<script src="https://cdn.tailwindcss.com?plugins=forms"></script>
+</head>
+<body class="bg-[#122017] text-white flex items-center justify-center h-screen" style="font-family: Inter, sans-serif;">
+<form method="post" action="/login" class="w-80 p-6 rounded-lg border-2 border-[#38e07b]/30 space-y-4">
+<h1 class="text-2xl font-bold">WhatsApp ENS Monitor</h1>
+${error ? '<p class="text-sm text-red-400">Invalid username or password.</p>' : ''}
+<input type="hidden" name="next" value="${safeNext(next).replace(/"/g, '&quot;')}"/>
+<input name="username" placeholder="Username" autocomplete="username" class="w-full rounded bg-black/20 border-[#38e07b]/30"/>
+<input name="password" type="password" placeholder="Password" autocomplete="current-password" class="w-full rounded bg-black/20 border-[#38e07b]/30"/>
+<button class="w-full py-2 rounded bg-[#38e07b]/20 hover:bg-[#38e07b]/30">Sign in</button>
+</form>
+</body></html>`;
+    }
+
+    // Mounts /login, /logout and /auth/callback for the cookie-based modes
+    function routes(app, express) {
+        app.post('/logout', (req, res) => {
+            setCookie(req, res, SESSION_COOKIE, '', 0);
+            res.redirect(mode === 'none' || mode === 'basic' ? '/dashboard' : '/login');
+        });
+
+        if (mode === 'session') {
+            app.get('/login', (req, res) => {
+                res.send(loginPage(false, req.query.next));
+            });
+            app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+                const user = checkPassword(req.body.username || '', req.body.password || '');
+                if (!user) {
+                    console.warn(`🔒 Failed dashboard login for "${req.body.username}" from ${req.ip}`);
+                    return res.status(401).send(loginPage(true, req.body.next));
+                }
+                console.log(`🔓 ${user.name} (${user.role}) signed in`);
+                startSession(req, res, user);
+                res.redirect(safeNext(req.body.next));
+            });
+        }
+
+        if (mode === 'oidc') {
+            app.get('/login', async (req, res) => {
+                try {
+                    const discovery = await discover();
+                    const state = crypto.randomBytes(16).toString('hex');
+                    const nonce = crypto.randomBytes(16).toString('hex');
+                    setCookie(req, res, OIDC_STATE_COOKIE, sign({ state, nonce, next: safeNext(req.query.next), exp: Date.now() + 10 * 60 * 1000 }), 600);
+                    const params = new URLSearchParams({
+                        response_type: 'code',
+                        client_id: oidc.clientId,
+                        redirect_uri: redirectUriFor(req),
+                        scope: oidc.scope,
+                        state,
+                        nonce
+                    });
+                    res.redirect(`${discovery.authorization_endpoint}?${params}`);
+                } catch (error) {
+                    console.error('OIDC discovery failed:', error.message);
+                    res.status(502).send('Identity provider unavailable.');
+                }
+            });
+
+            app.get('/auth/callback', async (req, res) => {
+                const pending = unsign(parseCookies(req)[OIDC_STATE_COOKIE]);
+                setCookie(req, res, OIDC_STATE_COOKIE, '', 0);
+                if (!pending || !req.query.code || req.query.state !== pending.state) {
+                    return res.status(400).send('Login expired or invalid. <a href="/login">Try again</a>.');
+                }
+                try {
+                    const discovery = await discover();
+                    const form = new URLSearchParams({
+                        grant_type: 'authorization_code',
+                        code: req.query.code,
+                        redirect_uri: redirectUriFor(req),
+                        client_id: oidc.clientId
+                    });
+                    if (oidc.clientSecret) {
+                        form.append('client_secret', oidc.clientSecret);
+                    }
+                    const response = await axios.post(discovery.token_endpoint, form.toString(), {
+                        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+                    });
+                    const claims = await verifyIdToken(response.data.id_token, pending.nonce);
+                    const user = {
+                        name: claims.preferred_username || claims.email || claims.sub,
+                        role: roleFromClaims(claims)
+                    };
+                    console.log(`🔓 ${user.name} (${user.role}) signed in via OIDC`);
+                    startSession(req, res, user);
+                    res.redirect(pending.next);
+                } catch (error) {
+                    console.error('OIDC login failed:', error.message);
+                    res.status(401).send('Login failed. <a href="/login">Try again</a>.');
+                }
+            });
+        }
+    }
+
+    return {
+        mode,
+        identify,
+        requireRole,
+        requireJson,
+        routes
+    };
+}
+
+module.exports = {
+    ROLES,
+    createAuth,
+    hasRole,
+    presentEvent
+};
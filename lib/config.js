@@ -0,0 +1,26 @@
+// --- Configuration Helpers ---
+// Shared by the loaders of the JSON / YAML settings files (tenants, sinks,
+// keyword rules, alert channels).
+
+// Replace "${NAME}" in every string of a value with the NAME environment variable
+// (empty when unset), so secrets can stay out of the settings files
+function expandEnv(value, env) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => env[name] || '');
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => expandEnv(item, env));
+    }
+    if (value && typeof value === 'object') {
+        const expanded = {};
+        for (const [key, item] of Object.entries(value)) {
+            expanded[key] = expandEnv(item, env);
+        }
+        return expanded;
+    }
+    return value;
+}
+
+module.exports = {
+    expandEnv
+};
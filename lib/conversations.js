@@ -0,0 +1,181 @@
+// --- Conversations ---
+// Groups stored events into per-customer threads keyed by mobile number (or
+// contactKey when an event has no number). Inbound messages appear as they
+// are; outbound messages are folded into one timeline item per message key
+// carrying their Sent/Delivered/Read/Failed lifecycle.
+//
+// Threads are grouped on the stored values, but everything shown of an event -
+// including journey, activity and failure reason - comes from `present(event)`,
+// the event as redacted and masked for the user.
+
+const INBOUND = 'EngagementEvents.OttMobileOriginated';
+const OUTBOUND_STEPS = {
+    'EngagementEvents.OttSent': 'sent',
+    'EngagementEvents.OttDelivered': 'delivered',
+    'EngagementEvents.OttRead': 'read',
+    'EngagementEvents.OttFailed': 'failed'
+};
+// Later steps win when deciding an outbound message's current status
+const STEP_ORDER = ['sent', 'failed', 'delivered', 'read'];
+
+function hasValue(value) {
+    return value && value !== 'N/A';
+}
+
+// Returns a function mapping an event to its thread identity ({ kind, value }).
+// Events with only a contactKey join the mobile number thread seen with that contactKey.
+function createThreadResolver(events) {
+    const mobileByContactKey = new Map();
+    for (const event of events) {
+        if (hasValue(event.mobileNumber) && hasValue(event.contactKey)) {
+            mobileByContactKey.set(event.contactKey, event.mobileNumber);
+        }
+    }
+    return event => {
+        if (hasValue(event.mobileNumber)) {
+            return { kind: 'mobileNumber', value: event.mobileNumber };
+        }
+        if (hasValue(event.contactKey)) {
+            const mobile = mobileByContactKey.get(event.contactKey);
+            return mobile ? { kind: 'mobileNumber', value: mobile } : { kind: 'contactKey', value: event.contactKey };
+        }
+        return null;
+    };
+}
+
+// Group events (newest first, as the event store returns them) into threads.
+// `threadId(identity)` turns an identity into the public thread ID.
+function groupThreads(events, threadId) {
+    const resolve = createThreadResolver(events);
+    const threads = new Map();
+    for (const event of events) {
+        const identity = resolve(event);
+        if (!identity) {
+            continue;
+        }
+        const id = threadId(identity);
+        if (!threads.has(id)) {
+            threads.set(id, { id, identity, events: [] });
+        }
+        threads.get(id).events.push(event);
+    }
+    return threads;
+}
+
+function summarize(thread, present) {
+    // Store order is arrival order; the latest activity is by ENS timestamp
+    const newest = thread.events.reduce((latest, event) => (event.timestamp > latest.timestamp ? event : latest));
+    const withMobile = thread.events.find(e => hasValue(e.mobileNumber));
+    const withContactKey = thread.events.find(e => hasValue(e.contactKey));
+    const journeys = new Set();
+    const activities = new Set();
+    let inboundCount = 0;
+    const outboundMessages = new Set();
+
+    for (const event of thread.events) {
+        const shown = present(event);
+        if (shown.journeyName) {
+            journeys.add(shown.journeyName);
+        }
+        if (shown.activityName) {
+            activities.add(shown.activityName);
+        }
+        if (event.eventType === INBOUND) {
+            inboundCount++;
+        } else if (OUTBOUND_STEPS[event.eventType]) {
+            outboundMessages.add(event.id);
+        }
+    }
+
+    return {
+        id: thread.id,
+        mobileNumber: withMobile ? present(withMobile).mobileNumber : 'N/A',
+        contactKey: withContactKey ? present(withContactKey).contactKey : 'N/A',
+        lastActivity: newest.timestamp,
+        lastEventType: newest.eventType,
+        eventCount: thread.events.length,
+        inboundCount,
+        outboundCount: outboundMessages.size,
+        journeys: Array.from(journeys),
+        activities: Array.from(activities)
+    };
+}
+
+// Chronological timeline of a thread's inbound messages and outbound message lifecycles
+function buildTimeline(thread, present) {
+    const items = [];
+    const outbound = new Map();
+
+    for (const event of thread.events.slice().reverse()) {
+        if (event.status === 'duplicate') {
+            continue;
+        }
+        const shown = present(event);
+        const step = OUTBOUND_STEPS[event.eventType];
+        if (!step) {
+            items.push({
+                kind: event.eventType === INBOUND ? 'inbound' : 'other',
+                timestamp: event.timestamp,
+                messageId: event.id,
+                journeyName: shown.journeyName,
+                activityName: shown.activityName,
+                event: shown
+            });
+            continue;
+        }
+
+        let item = outbound.get(event.id);
+        if (!item) {
+            item = {
+                kind: 'outbound',
+                timestamp: event.timestamp,
+                messageId: event.id,
+                journeyName: shown.journeyName,
+                activityName: shown.activityName,
+                status: step,
+                steps: {},
+                events: []
+            };
+            outbound.set(event.id, item);
+            items.push(item);
+        }
+        item.steps[step] = { timestamp: event.timestamp, reason: step === 'failed' ? shown.failureReason : undefined };
+        item.events.push(shown);
+        item.journeyName = item.journeyName || shown.journeyName;
+        item.activityName = item.activityName || shown.activityName;
+        if (STEP_ORDER.indexOf(step) > STEP_ORDER.indexOf(item.status)) {
+            item.status = step;
+        }
+        // Place the message where it was first seen, even if Sent arrived after Delivered
+        if (event.timestamp < item.timestamp) {
+            item.timestamp = event.timestamp;
+        }
+    }
+
+    return items.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+}
+
+function listConversations(events, { threadId, present }) {
+    const threads = groupThreads(events, threadId);
+    return Array.from(threads.values())
+        .map(thread => summarize(thread, present))
+        .sort((a, b) => (a.lastActivity < b.lastActivity ? 1 : a.lastActivity > b.lastActivity ? -1 : 0));
+}
+
+// `matches(identity, id)` decides whether a thread is the one requested
+function getConversation(events, { threadId, present, matches }) {
+    const threads = groupThreads(events, threadId);
+    for (const thread of threads.values()) {
+        if (matches(thread.identity, thread.id)) {
+            return Object.assign(summarize(thread, present), {
+                timeline: buildTimeline(thread, present)
+            });
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    listConversations,
+    getConversation
+};
@@ -0,0 +1,244 @@
+const { createKeyedLock } = require('./lifecycle');
+
+// --- Customer Resolution ---
+// Optional enrichment of inbound messages before they are written to
+// Salesforce. Finds the Contact, Person Account or Lead a message came from -
+// by contactKey when it is a Salesforce record ID, otherwise by the mobile
+// number normalized to E.164 - and, for matched contacts, optionally links,
+// reopens or creates a Case. The result is added to the event as `customer`,
+// so the field mapping can fill lookup fields on the interaction record:
+//   "Contact__c": "customer.contactId", "Lead__c": "customer.leadId",
+//   "Account__c": "customer.accountId", "Case__c": "customer.caseId"
+//
+// SF_RESOLVE_CUSTOMERS      true to enable
+// SF_RESOLVE_OBJECTS        lookup order, from Contact, PersonAccount and Lead (default Contact,Lead)
+// SF_RESOLVE_CACHE_SECONDS  how long matches and misses are remembered (default 300)
+// SF_DEFAULT_COUNTRY_CODE   country code for national numbers with a leading 0, e.g. 44
+// SF_CASE_MODE              off | create | reopen (default off)
+// SF_CASE_WINDOW_HOURS      how recently an open Case (or, to reopen, a closed one) must have changed (default 24)
+// SF_CASE_ORIGIN            Origin of created Cases (default WhatsApp)
+// SF_CASE_STATUS            Status of created and reopened Cases (default New)
+
+const OBJECTS = ['Contact', 'PersonAccount', 'Lead'];
+const CASE_MODES = ['off', 'create', 'reopen'];
+const SALESFORCE_ID = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+// Key prefixes of the record IDs a contactKey can hold
+const ID_PREFIXES = { Contact: '003', PersonAccount: '001', Lead: '00Q' };
+// SOSL RETURNING clause and SOQL query per object
+const SEARCH_RETURNING = {
+    Contact: 'Contact(Id, AccountId)',
+    PersonAccount: 'Account(Id, PersonContactId WHERE IsPersonAccount = true)',
+    Lead: 'Lead(Id WHERE IsConverted = false)'
+};
+const QUERY_BY_ID = {
+    Contact: id => `SELECT Id, AccountId FROM Contact WHERE Id = '${id}' LIMIT 1`,
+    PersonAccount: id => `SELECT Id, PersonContactId FROM Account WHERE Id = '${id}' AND IsPersonAccount = true LIMIT 1`,
+    Lead: id => `SELECT Id FROM Lead WHERE Id = '${id}' AND IsConverted = false LIMIT 1`
+};
+const MAX_CACHE_ENTRIES = 5000;
+
+// "+44 7700 900123", "0044 7700 900123" and (with default country code 44) "07700 900123" all become +447700900123
+function normalizeE164(value, defaultCountryCode) {
+    if (!value || value === 'N/A') {
+        return null;
+    }
+    const text = String(value).trim();
+    let digits = text.replace(/\D/g, '');
+    if (!text.startsWith('+') && digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (!text.startsWith('+') && digits.startsWith('0')) {
+        // A national number can only be made international with a default country code
+        if (!defaultCountryCode) {
+            return null;
+        }
+        digits = defaultCountryCode + digits.replace(/^0+/, '');
+    }
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+function unmatched() {
+    return { matched: false, object: null, id: null, contactId: null, accountId: null, leadId: null, matchedBy: null };
+}
+
+function toCustomer(object, record, matchedBy) {
+    const customer = Object.assign(unmatched(), { matched: true, object, id: record.Id, matchedBy });
+    if (object === 'Contact') {
+        customer.contactId = record.Id;
+        customer.accountId = record.AccountId || null;
+    } else if (object === 'PersonAccount') {
+        customer.accountId = record.Id;
+        customer.contactId = record.PersonContactId || null;
+    } else {
+        customer.leadId = record.Id;
+    }
+    return customer;
+}
+
+// SOQL datetime literal (no milliseconds)
+function soqlDateTime(ms) {
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function createCustomerResolver(env = process.env) {
+    if (env.SF_RESOLVE_CUSTOMERS !== 'true') {
+        return null;
+    }
+    const objects = (env.SF_RESOLVE_OBJECTS || 'Contact,Lead').split(',').map(o => o.trim()).filter(Boolean);
+    const unknown = objects.filter(o => !OBJECTS.includes(o));
+    if (!objects.length || unknown.length) {
+        throw new Error(`SF_RESOLVE_OBJECTS must list ${OBJECTS.join(', ')} (got "${env.SF_RESOLVE_OBJECTS}")`);
+    }
+    const caseMode = (env.SF_CASE_MODE || 'off').toLowerCase();
+    if (!CASE_MODES.includes(caseMode)) {
+        throw new Error(`SF_CASE_MODE must be one of ${CASE_MODES.join(', ')} (got "${env.SF_CASE_MODE}")`);
+    }
+    const defaultCountryCode = (env.SF_DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+    const cacheMs = (env.SF_RESOLVE_CACHE_SECONDS === undefined || env.SF_RESOLVE_CACHE_SECONDS === '' ? 300 : Number(env.SF_RESOLVE_CACHE_SECONDS)) * 1000;
+    const caseWindowMs = (Number(env.SF_CASE_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+    const caseOrigin = env.SF_CASE_ORIGIN || 'WhatsApp';
+    const caseStatus = env.SF_CASE_STATUS || 'New';
+
+    const customers = new Map();
+    const cases = new Map();
+    // Messages from one customer arriving together resolve their Case one at a time
+    const withCaseLock = createKeyedLock();
+    const counts = { matched: 0, unmatched: 0, cacheHits: 0, casesLinked: 0, casesReopened: 0, casesCreated: 0 };
+
+    function cached(cache, key) {
+        const entry = cache.get(key);
+        if (entry && Date.now() < entry.expires) {
+            return entry.value;
+        }
+        cache.delete(key);
+        return undefined;
+    }
+
+    function remember(cache, key, value) {
+        if (cacheMs > 0) {
+            cache.set(key, { value, expires: Date.now() + cacheMs });
+            // Oldest entries go first
+            while (cache.size > MAX_CACHE_ENTRIES) {
+                cache.delete(cache.keys().next().value);
+            }
+        }
+        return value;
+    }
+
+    async function findByContactKey(conn, contactKey) {
+        if (!contactKey || !SALESFORCE_ID.test(contactKey)) {
+            return null;
+        }
+        const object = objects.find(o => contactKey.startsWith(ID_PREFIXES[o]));
+        if (!object) {
+            return null;
+        }
+        const result = await conn.query(QUERY_BY_ID[object](contactKey));
+        return result.records.length ? toCustomer(object, result.records[0], 'contactKey') : null;
+    }
+
+    async function findByMobileNumber(conn, e164) {
+        if (!e164) {
+            return null;
+        }
+        // Phone field search ignores formatting in the stored numbers; "+" is reserved in SOSL, so search the digits
+        const sosl = `FIND {${e164.slice(1)}} IN PHONE FIELDS RETURNING ${objects.map(o => SEARCH_RETURNING[o]).join(', ')}`;
+        const result = await conn.search(sosl);
+        const records = Array.isArray(result) ? result : result.searchRecords || [];
+        for (const object of objects) {
+            const type = object === 'PersonAccount' ? 'Account' : object;
+            const record = records.find(r => r.attributes && r.attributes.type === type);
+            if (record) {
+                return toCustomer(object, record, 'mobileNumber');
+            }
+        }
+        return null;
+    }
+
+    // Link the most recent open Case, reopen a recently closed one, or create one
+    async function resolveCase(conn, tenantId, customer) {
+        const key = `${tenantId}|${customer.contactId}`;
+        return withCaseLock(key, async () => {
+            const known = cached(cases, key);
+            if (known) {
+                counts.casesLinked++;
+                return { caseId: known.caseId, caseAction: 'linked' };
+            }
+            const since = soqlDateTime(Date.now() - caseWindowMs);
+            const open = await conn.query(`SELECT Id FROM Case WHERE ContactId = '${customer.contactId}' AND IsClosed = false AND LastModifiedDate >= ${since} ORDER BY LastModifiedDate DESC LIMIT 1`);
+            let resolved;
+            if (open.records.length) {
+                resolved = { caseId: open.records[0].Id, caseAction: 'linked' };
+            } else {
+                const closed = caseMode === 'reopen'
+                    ? await conn.query(`SELECT Id FROM Case WHERE ContactId = '${customer.contactId}' AND IsClosed = true AND ClosedDate >= ${since} ORDER BY ClosedDate DESC LIMIT 1`)
+                    : { records: [] };
+                if (closed.records.length) {
+                    const caseId = closed.records[0].Id;
+                    await conn.sobject('Case').update({ Id: caseId, Status: caseStatus });
+                    resolved = { caseId, caseAction: 'reopened' };
+                } else {
+                    const created = await conn.sobject('Case').create({
+                        Subject: 'Inbound WhatsApp message',
+                        Origin: caseOrigin,
+                        Status: caseStatus,
+                        ContactId: customer.contactId,
+                        AccountId: customer.accountId
+                    });
+                    if (!created.success) {
+                        throw Object.assign(new Error(`Case creation failed: ${JSON.stringify(created.errors)}`), { errors: created.errors });
+                    }
+                    resolved = { caseId: created.id, caseAction: 'created' };
+                }
+            }
+            counts[{ linked: 'casesLinked', reopened: 'casesReopened', created: 'casesCreated' }[resolved.caseAction]]++;
+            remember(cases, key, resolved);
+            return resolved;
+        });
+    }
+
+    async function findCustomer(conn, tenantId, event, countCacheHit) {
+        const contactKey = event.contactKey && event.contactKey !== 'N/A' ? String(event.contactKey) : null;
+        const e164 = normalizeE164(event.mobileNumber, defaultCountryCode);
+        const key = `${tenantId}|${contactKey || ''}|${e164 || ''}`;
+
+        const known = cached(customers, key);
+        if (known) {
+            if (countCacheHit) {
+                counts.cacheHits++;
+            }
+            return known;
+        }
+        const customer = (await findByContactKey(conn, contactKey)) || (await findByMobileNumber(conn, e164)) || unmatched();
+        return remember(customers, key, customer);
+    }
+
+    return {
+        objects,
+        caseMode,
+
+        // Returns { matched, object, id, contactId, accountId, leadId, matchedBy, caseId?, caseAction? }
+        async resolve(conn, tenantId, event) {
+            const customer = await findCustomer(conn, tenantId, event, true);
+            counts[customer.matched ? 'matched' : 'unmatched']++;
+            if (caseMode === 'off' || !customer.contactId) {
+                return customer;
+            }
+            return Object.assign({}, customer, await resolveCase(conn, tenantId, customer));
+        },
+
+        // The customer alone - no Case, not counted - e.g. for keyword consent updates
+        lookup(conn, tenantId, event) {
+            return findCustomer(conn, tenantId, event, false);
+        },
+
+        // Settings and counts since startup, for /health
+        stats() {
+            return Object.assign({ objects, caseMode, cacheSeconds: cacheMs / 1000, cachedCustomers: customers.size }, counts);
+        }
+    };
+}
+
+module.exports = {
+    normalizeE164,
+    createCustomerResolver
+};
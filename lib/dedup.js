@@ -0,0 +1,83 @@
+// --- ENS Redelivery Deduplication ---
+// ENS delivers at-least-once. Events are identified by message key/ID, event
+// type and ENS timestamp; a second copy seen within the dedup window is a
+// redelivery and must not be written to Salesforce again.
+
+function dedupKeyFor(event) {
+    const messageId = event.messageKey || event.messageId;
+    if (!messageId) {
+        // Nothing stable to key on - treat every copy as unique
+        return null;
+    }
+    return [messageId, event.eventCategoryType || 'Unknown', event.timestampUTC || ''].join('|');
+}
+
+function createDeduplicator({ windowMs }) {
+    const seen = new Map();
+
+    function prune(now = Date.now()) {
+        // Map iteration follows insertion order, so the oldest entries come first
+        for (const [key, entry] of seen) {
+            if (now - entry.seenAt <= windowMs) {
+                break;
+            }
+            seen.delete(key);
+        }
+    }
+
+    return {
+        enabled: windowMs > 0,
+
+        // Returns the entry of the first copy if this event is a redelivery,
+        // otherwise records the event as seen and returns null.
+        claim(event) {
+            const key = dedupKeyFor(event);
+            if (!this.enabled || !key) {
+                return null;
+            }
+            prune();
+            const existing = seen.get(key);
+            if (existing) {
+                return existing;
+            }
+            seen.set(key, { eventId: null, seenAt: Date.now() });
+            return null;
+        },
+
+        // Attach the stored event ID to a claimed event so duplicates can point at it
+        confirm(event, eventId, seenAt = Date.now()) {
+            const key = dedupKeyFor(event);
+            if (!this.enabled || !key) {
+                return;
+            }
+            const entry = seen.get(key);
+            if (entry) {
+                entry.eventId = eventId;
+            } else if (Date.now() - seenAt <= windowMs) {
+                seen.set(key, { eventId, seenAt });
+            }
+        },
+
+        // Forget a claim whose event could not be stored, so a redelivery is processed again
+        release(event) {
+            const key = dedupKeyFor(event);
+            if (!this.enabled || !key) {
+                return;
+            }
+            const entry = seen.get(key);
+            if (entry && !entry.eventId) {
+                seen.delete(key);
+            }
+        },
+
+        size() {
+            prune();
+            return seen.size;
+        }
+    };
+}
+
+module.exports = {
+    createDeduplicator,
+    dedupKeyFor
+};
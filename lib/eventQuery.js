@@ -0,0 +1,203 @@
+const { tenantOf } = require('./tenants');
+
+// --- Event Queries ---
+// Filtering, sorting and cursor pagination for /api/events and the export
+// endpoint. Works on the stored events any event store backend returns.
+//
+// Supported query parameters:
+//   tenant                        exact match, comma-separated for several tenants
+//   type, status, sendMethod      exact match, comma-separated for several values
+//   mobileNumber, contactKey      exact match on the value or its redaction hash
+//   journeyName, reason           case-insensitive "contains" match (reason = failure reason)
+//   customer                      matched or unmatched (inbound messages that went through customer resolution)
+//   keyword, tag                  keyword rule name / event tag, comma-separated for several
+//   from, to                      ISO 8601 or Unix milliseconds, on the event timestamp
+//   sort                          desc (default) or asc
+//   limit, cursor                 page size (default 100, max 1000) and the previous page's nextCursor
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function parseList(value) {
+    if (!value || value === 'all') {
+        return null;
+    }
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseTime(value, name) {
+    if (!value) {
+        return null;
+    }
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) {
+        throw badRequest(`"${name}" must be an ISO 8601 date or Unix milliseconds`);
+    }
+    return new Date(time).toISOString();
+}
+
+function encodeCursor(event) {
+    return Buffer.from(JSON.stringify({ t: event.timestamp, id: event.eventId })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof decoded.t !== 'string' || typeof decoded.id !== 'string') {
+            throw new Error('incomplete cursor');
+        }
+        return decoded;
+    } catch (error) {
+        throw badRequest('"cursor" is not a valid cursor');
+    }
+}
+
+// Turn request query parameters into query criteria; throws 400-coded errors
+function parseEventQuery(query = {}, { paginate = true } = {}) {
+    const sort = (query.sort || 'desc').toLowerCase();
+    if (sort !== 'asc' && sort !== 'desc') {
+        throw badRequest('"sort" must be asc or desc');
+    }
+
+    let limit = null;
+    if (paginate) {
+        limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw badRequest(`"limit" must be a whole number from 1 to ${MAX_LIMIT}`);
+        }
+    }
+
+    const customer = query.customer && query.customer !== 'all' ? String(query.customer).toLowerCase() : null;
+    if (customer && customer !== 'matched' && customer !== 'unmatched') {
+        throw badRequest('"customer" must be matched or unmatched');
+    }
+
+    const criteria = {
+        tenants: parseList(query.tenant),
+        types: parseList(query.type),
+        statuses: parseList(query.status),
+        sendMethods: parseList(query.sendMethod),
+        mobileNumber: query.mobileNumber || null,
+        contactKey: query.contactKey || null,
+        journeyName: query.journeyName ? String(query.journeyName).toLowerCase() : null,
+        reason: query.reason ? String(query.reason).toLowerCase() : null,
+        customer,
+        keywordRules: parseList(query.keyword),
+        tags: parseList(query.tag),
+        from: parseTime(query.from, 'from'),
+        to: parseTime(query.to, 'to'),
+        sort,
+        limit,
+        cursor: paginate && query.cursor ? decodeCursor(query.cursor) : null
+    };
+    if (criteria.from && criteria.to && criteria.from > criteria.to) {
+        throw badRequest('"from" must be before "to"');
+    }
+    return criteria;
+}
+
+// `hashValue` lets identifiers be searched by their redaction hash
+function filterEvents(events, criteria, { hashValue }) {
+    // A raw value and its hash both match, so do differently formatted phone numbers
+    const identifierMatcher = wanted => {
+        if (!wanted) {
+            return null;
+        }
+        const wantedHash = wanted.startsWith('hash:') ? wanted : hashValue(wanted);
+        return value => !!value && value !== 'N/A' && (value === wanted || hashValue(value) === wantedHash);
+    };
+    const mobileMatches = identifierMatcher(criteria.mobileNumber);
+    const contactKeyMatches = identifierMatcher(criteria.contactKey);
+    const contains = (value, wanted) => !!value && String(value).toLowerCase().includes(wanted);
+
+    return events.filter(e =>
+        (!criteria.tenants || criteria.tenants.includes(tenantOf(e))) &&
+        (!criteria.types || criteria.types.includes(e.eventType)) &&
+        (!criteria.statuses || criteria.statuses.includes(e.status)) &&
+        (!criteria.sendMethods || criteria.sendMethods.includes(e.sendMethod)) &&
+        (!mobileMatches || mobileMatches(e.mobileNumber)) &&
+        (!contactKeyMatches || contactKeyMatches(e.contactKey)) &&
+        (!criteria.journeyName || contains(e.journeyName, criteria.journeyName)) &&
+        (!criteria.reason || contains(e.failureReason, criteria.reason)) &&
+        (!criteria.customer || (!!e.customer && e.customer.matched === (criteria.customer === 'matched'))) &&
+        (!criteria.keywordRules || (!!e.keyword && criteria.keywordRules.includes(e.keyword.rule))) &&
+        (!criteria.tags || (!!e.tags && e.tags.some(tag => criteria.tags.includes(tag)))) &&
+        (!criteria.from || e.timestamp >= criteria.from) &&
+        (!criteria.to || e.timestamp <= criteria.to)
+    );
+}
+
+function compareEvents(a, b) {
+    if (a.timestamp !== b.timestamp) {
+        return a.timestamp < b.timestamp ? -1 : 1;
+    }
+    return a.eventId < b.eventId ? -1 : a.eventId > b.eventId ? 1 : 0;
+}
+
+function sortEvents(events, criteria) {
+    const sorted = events.slice().sort(compareEvents);
+    return criteria.sort === 'desc' ? sorted.reverse() : sorted;
+}
+
+// Returns { total, events, nextCursor } for the matching, sorted events
+function queryEvents(events, criteria, options) {
+    const sorted = sortEvents(filterEvents(events, criteria, options), criteria);
+    let page = sorted;
+
+    if (criteria.cursor) {
+        const after = { timestamp: criteria.cursor.t, eventId: criteria.cursor.id };
+        page = sorted.filter(e => (criteria.sort === 'desc' ? compareEvents(e, after) < 0 : compareEvents(e, after) > 0));
+    }
+
+    const hasMore = criteria.limit !== null && page.length > criteria.limit;
+    if (criteria.limit !== null) {
+        page = page.slice(0, criteria.limit);
+    }
+
+    return {
+        total: sorted.length,
+        events: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+// --- Export ---
+const CSV_COLUMNS = [
+    'eventId', 'id', 'timestamp', 'eventType', 'status', 'mobileNumber', 'contactKey',
+    'sendMethod', 'journeyName', 'activityName', 'messageType', 'failureReason', 'attempts', 'lastError',
+    'tenant'
+];
+
+// Text starting with one of these is run as a formula by Excel and Sheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvHeader() {
+    return CSV_COLUMNS.join(',') + '\r\n';
+}
+
+function csvRow(event) {
+    return CSV_COLUMNS.map(column => csvCell(column === 'tenant' ? tenantOf(event) : event[column])).join(',') + '\r\n';
+}
+
+module.exports = {
+    parseEventQuery,
+    filterEvents,
+    queryEvents,
+    csvHeader,
+    csvRow
+};
@@ -0,0 +1,271 @@
+const path = require('path');
+const { createNdjsonLog } = require('./ndjsonLog');
+
+// --- Event Store ---
+// Pluggable storage behind storeEvent() and /api/events. Every backend exposes
+// the same async interface:
+//   add(storedEvent)          -> storedEvent
+//   update(eventId, changes)  -> updated storedEvent or null
+//   get(eventId)              -> storedEvent or null
+//   list()                    -> stored events, newest first
+//   count()                   -> number of stored events
+//   stats()                   -> figures for /health and the dashboard
+//
+// Retention is applied by every backend: at most `maxEvents` events are kept,
+// and events stored more than `maxAgeHours` ago are pruned (0 disables either).
+
+function isExpired(storedEvent, maxAgeHours, now = Date.now()) {
+    if (!maxAgeHours) {
+        return false;
+    }
+    const storedAt = Date.parse(storedEvent.storedAt || storedEvent.timestamp);
+    return Number.isFinite(storedAt) && now - storedAt > maxAgeHours * 60 * 60 * 1000;
+}
+
+// --- In-Memory Backend (default) ---
+// Same behaviour as the original recentEvents array: lost on restart.
+function createMemoryStore({ maxEvents, maxAgeHours }) {
+    const events = [];
+
+    function prune() {
+        while (maxEvents && events.length > maxEvents) {
+            events.pop();
+        }
+        while (events.length && isExpired(events[events.length - 1], maxAgeHours)) {
+            events.pop();
+        }
+    }
+
+    return {
+        type: 'memory',
+        async init() {},
+        async add(storedEvent) {
+            events.unshift(storedEvent);
+            prune();
+            return storedEvent;
+        },
+        async update(eventId, changes) {
+            const existing = events.find(e => e.eventId === eventId);
+            if (!existing) {
+                return null;
+            }
+            Object.assign(existing, changes);
+            return existing;
+        },
+        async get(eventId) {
+            return events.find(e => e.eventId === eventId) || null;
+        },
+        async list() {
+            prune();
+            return events.slice();
+        },
+        async count() {
+            return events.length;
+        },
+        async stats() {
+            return {
+                type: 'memory',
+                count: events.length,
+                maxEvents,
+                maxAgeHours,
+                oldest: events.length ? events[events.length - 1].storedAt : null
+            };
+        },
+        async close() {}
+    };
+}
+
+// --- File Backend ---
+// Append-only NDJSON journal of event versions, replayed into memory on startup.
+// Updates append a new version of the event; the file is compacted once it
+// holds twice as many lines as live events. add() and update() resolve once
+// the line is flushed to disk and reject if it could not be written, leaving
+// the event as it was, so the intake journal only lets go of a payload whose
+// events are on disk. See lib/ndjsonLog.js
+function createFileStore({ maxEvents, maxAgeHours, filePath }) {
+    const memory = createMemoryStore({ maxEvents, maxAgeHours });
+    const log = createNdjsonLog({
+        filePath,
+        label: 'Event store',
+        count: () => memory.count(),
+        // Oldest first, so replaying the file keeps the order
+        snapshot: async () => (await memory.list()).reverse()
+    });
+
+    return {
+        type: 'file',
+        async init() {
+            // Last version of each event wins; order is first-seen order
+            const versions = new Map();
+            for (const storedEvent of await log.load()) {
+                versions.set(storedEvent.eventId, storedEvent);
+            }
+            for (const storedEvent of versions.values()) {
+                await memory.add(storedEvent);
+            }
+            await log.compact();
+            console.log(`✅ Loaded ${await memory.count()} event(s) from ${filePath}`);
+        },
+        add(storedEvent) {
+            return log.append(() => storedEvent, () => memory.add(storedEvent));
+        },
+        update(eventId, changes) {
+            return log.append(
+                async () => {
+                    const existing = await memory.get(eventId);
+                    return existing ? Object.assign({}, existing, changes) : null;
+                },
+                () => memory.update(eventId, changes)
+            );
+        },
+        get: memory.get,
+        list: memory.list,
+        count: memory.count,
+        async stats() {
+            return Object.assign(await memory.stats(), { type: 'file', filePath });
+        },
+        close: log.close
+    };
+}
+
+// --- PostgreSQL Backend ---
+// Survives dyno restarts. Works with Heroku Postgres via DATABASE_URL.
+function createPostgresStore({ maxEvents, maxAgeHours, connectionString, ssl }) {
+    const { Pool } = require('pg');
+    const pool = new Pool({
+        connectionString,
+        ssl: ssl ? { rejectUnauthorized: false } : false
+    });
+    let lastPrune = 0;
+
+    async function prune() {
+        // Pruning is cheap but there is no need to run it on every insert
+        if (Date.now() - lastPrune < 60 * 1000) {
+            return;
+        }
+        lastPrune = Date.now();
+        if (maxAgeHours) {
+            await pool.query(
+                `DELETE FROM ens_events WHERE stored_at < NOW() - ($1::double precision * INTERVAL '1 hour')`,
+                [maxAgeHours]
+            );
+        }
+        if (maxEvents) {
+            await pool.query(
+                `DELETE FROM ens_events WHERE seq <= (
+                    SELECT seq FROM ens_events ORDER BY seq DESC OFFSET $1 LIMIT 1
+                 )`,
+                [maxEvents]
+            );
+        }
+    }
+
+    return {
+        type: 'postgres',
+        async init() {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS ens_events (
+                    seq BIGSERIAL PRIMARY KEY,
+                    event_id TEXT UNIQUE NOT NULL,
+                    stored_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                    event_type TEXT,
+                    status TEXT,
+                    data JSONB NOT NULL
+                )`);
+            await pool.query('CREATE INDEX IF NOT EXISTS ens_events_stored_at_idx ON ens_events (stored_at)');
+            console.log('✅ Connected to PostgreSQL event store');
+        },
+        async add(storedEvent) {
+            await pool.query(
+                `INSERT INTO ens_events (event_id, stored_at, event_type, status, data)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (event_id) DO UPDATE SET status = EXCLUDED.status, data = EXCLUDED.data`,
+                [storedEvent.eventId, storedEvent.storedAt, storedEvent.eventType, storedEvent.status, storedEvent]
+            );
+            await prune();
+            return storedEvent;
+        },
+        async update(eventId, changes) {
+            const existing = await this.get(eventId);
+            if (!existing) {
+                return null;
+            }
+            const updated = Object.assign(existing, changes);
+            await pool.query(
+                'UPDATE ens_events SET status = $2, data = $3 WHERE event_id = $1',
+                [eventId, updated.status, updated]
+            );
+            return updated;
+        },
+        async get(eventId) {
+            const result = await pool.query('SELECT data FROM ens_events WHERE event_id = $1', [eventId]);
+            return result.rows.length ? result.rows[0].data : null;
+        },
+        async list() {
+            await prune();
+            const result = await pool.query(
+                'SELECT data FROM ens_events ORDER BY seq DESC LIMIT $1',
+                [maxEvents || null]
+            );
+            return result.rows.map(row => row.data);
+        },
+        async count() {
+            const result = await pool.query('SELECT COUNT(*)::int AS count FROM ens_events');
+            return result.rows[0].count;
+        },
+        async stats() {
+            const result = await pool.query(
+                'SELECT COUNT(*)::int AS count, MIN(stored_at) AS oldest FROM ens_events'
+            );
+            return {
+                type: 'postgres',
+                count: result.rows[0].count,
+                maxEvents,
+                maxAgeHours,
+                oldest: result.rows[0].oldest
+            };
+        },
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+// --- Factory ---
+function createEventStore(env = process.env) {
+    const type = (env.EVENT_STORE || 'memory').toLowerCase();
+    const maxAgeHours = Number(env.EVENT_STORE_MAX_AGE_HOURS) || 0;
+
+    switch (type) {
+        case 'memory':
+            return createMemoryStore({
+                maxEvents: Number(env.EVENT_STORE_MAX_EVENTS) || 100,
+                maxAgeHours
+            });
+        case 'file':
+            return createFileStore({
+                maxEvents: Number(env.EVENT_STORE_MAX_EVENTS) || 10000,
+                maxAgeHours,
+                filePath: env.EVENT_STORE_FILE || path.join(process.cwd(), 'data', 'events.ndjson')
+            });
+        case 'postgres':
+            if (!env.DATABASE_URL) {
+                throw new Error('EVENT_STORE=postgres requires DATABASE_URL to be set');
+            }
+            return createPostgresStore({
+                maxEvents: Number(env.EVENT_STORE_MAX_EVENTS) || 10000,
+                maxAgeHours,
+                connectionString: env.DATABASE_URL,
+                ssl: env.DATABASE_SSL !== 'false'
+            });
+        default:
+            throw new Error(`Unknown EVENT_STORE "${type}" (expected memory, file or postgres)`);
+    }
+}
+
+module.exports = {
+    createEventStore,
+    createMemoryStore,
+    createFileStore,
+    createPostgresStore
+};
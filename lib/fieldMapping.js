@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Event-to-Salesforce Field Mapping ---
+// Declares, per eventCategoryType, which Salesforce object an event is written
+// to and how payload values map onto its fields. Loaded from SF_MAPPING_FILE
+// (JSON or YAML) and validated at startup; see mapping.example.json.
+//
+// A field spec is either a payload path string or an object:
+//   path       payload path ("journeyName", "details.items.0.text", "$" for the
+//              whole event) or a list of paths, the first non-empty one wins
+//   value      constant value instead of a path
+//   transform  timestamp | json | string | number | boolean
+//   maxLength  truncate string values to this many characters
+//   default    used when the path resolves to nothing; not for the externalId
+//              field, as every event without a value would upsert one record
+
+const TRANSFORMS = {
+    // Same seconds/milliseconds handling as the dashboard timestamps
+    timestamp(value) {
+        const number = Number(value);
+        if (Number.isFinite(number)) {
+            const ts = number < 10000000000 ? number * 1000 : number;
+            return new Date(ts).toISOString();
+        }
+        const parsed = Date.parse(value);
+        return Number.isFinite(parsed) ? new Date(parsed).toISOString() : null;
+    },
+    json(value) {
+        return JSON.stringify(value, null, 2);
+    },
+    string(value) {
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    },
+    number(value) {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    },
+    boolean(value) {
+        return value === true || value === 'true' || value === 1 || value === '1';
+    }
+};
+
+const SALESFORCE_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// The behaviour before mapping files existed: inbound messages only
+const DEFAULT_MAPPING = {
+    events: {
+        'EngagementEvents.OttMobileOriginated': {
+            object: 'WhatsApp_Interaction__c',
+            externalId: 'Message_ID__c',
+            fields: {
+                Message_ID__c: { path: ['messageId', 'messageKey'] },
+                Raw_Payload__c: { path: '$', transform: 'json', maxLength: 131000 }
+            }
+        }
+    }
+};
+
+function getPath(source, pathExpression) {
+    if (pathExpression === '$') {
+        return source;
+    }
+    return pathExpression.split('.').reduce(
+        (value, key) => (value === null || value === undefined ? undefined : value[key]),
+        source
+    );
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function resolveField(event, spec) {
+    if (typeof spec === 'string') {
+        spec = { path: spec };
+    }
+
+    let value;
+    if (Object.prototype.hasOwnProperty.call(spec, 'value')) {
+        value = spec.value;
+    } else {
+        const paths = Array.isArray(spec.path) ? spec.path : [spec.path];
+        for (const p of paths) {
+            value = getPath(event, p);
+            if (!isEmpty(value)) {
+                break;
+            }
+        }
+    }
+
+    if (!isEmpty(value) && spec.transform) {
+        value = TRANSFORMS[spec.transform](value);
+    }
+    if (isEmpty(value)) {
+        value = Object.prototype.hasOwnProperty.call(spec, 'default') ? spec.default : null;
+    }
+    if (typeof value === 'string' && spec.maxLength) {
+        value = value.substring(0, spec.maxLength);
+    }
+    return value;
+}
+
+// Collects every problem in the mapping so they can be reported together
+function validateMapping(mapping) {
+    const errors = [];
+
+    if (!mapping || typeof mapping !== 'object' || !mapping.events || typeof mapping.events !== 'object') {
+        return ['mapping must be an object with an "events" object keyed by eventCategoryType'];
+    }
+
+    for (const [eventType, target] of Object.entries(mapping.events)) {
+        const where = `events["${eventType}"]`;
+        if (!target || typeof target !== 'object') {
+            errors.push(`${where} must be an object`);
+            continue;
+        }
+        if (typeof target.object !== 'string' || !SALESFORCE_NAME.test(target.object)) {
+            errors.push(`${where}.object must be a Salesforce object API name`);
+        }
+        if (!target.fields || typeof target.fields !== 'object' || !Object.keys(target.fields).length) {
+            errors.push(`${where}.fields must map at least one Salesforce field`);
+            continue;
+        }
+        if (target.externalId !== undefined) {
+            if (typeof target.externalId !== 'string' || !SALESFORCE_NAME.test(target.externalId)) {
+                errors.push(`${where}.externalId must be a Salesforce field API name`);
+            } else if (!Object.prototype.hasOwnProperty.call(target.fields, target.externalId)) {
+                errors.push(`${where}.externalId "${target.externalId}" must also be mapped in fields`);
+            }
+        }
+
+        for (const [field, spec] of Object.entries(target.fields)) {
+            const fieldWhere = `${where}.fields.${field}`;
+            if (!SALESFORCE_NAME.test(field)) {
+                errors.push(`${fieldWhere} is not a valid Salesforce field API name`);
+            }
+            if (typeof spec === 'string') {
+                if (!spec) {
+                    errors.push(`${fieldWhere} path must not be empty`);
+                }
+                continue;
+            }
+            if (!spec || typeof spec !== 'object') {
+                errors.push(`${fieldWhere} must be a payload path or a field spec object`);
+                continue;
+            }
+            const hasValue = Object.prototype.hasOwnProperty.call(spec, 'value');
+            const paths = Array.isArray(spec.path) ? spec.path : [spec.path];
+            if (!hasValue && (!paths.length || paths.some(p => typeof p !== 'string' || !p))) {
+                errors.push(`${fieldWhere} needs a "path" (string or list of strings) or a "value"`);
+            }
+            if (spec.transform !== undefined && !Object.prototype.hasOwnProperty.call(TRANSFORMS, spec.transform)) {
+                errors.push(`${fieldWhere}.transform "${spec.transform}" is not one of ${Object.keys(TRANSFORMS).join(', ')}`);
+            }
+            if (spec.maxLength !== undefined && !(Number.isInteger(spec.maxLength) && spec.maxLength > 0)) {
+                errors.push(`${fieldWhere}.maxLength must be a positive integer`);
+            }
+            const unknown = Object.keys(spec).filter(key => !['path', 'value', 'transform', 'maxLength', 'default'].includes(key));
+            if (unknown.length) {
+                errors.push(`${fieldWhere} has unknown option(s): ${unknown.join(', ')}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+function parseMappingFile(filePath) {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.yaml' || extension === '.yml') {
+        return require('js-yaml').load(contents);
+    }
+    return JSON.parse(contents);
+}
+
+function createFieldMapping(mapping, source = 'built-in default') {
+    const errors = validateMapping(mapping);
+    if (errors.length) {
+        const error = new Error(`Invalid Salesforce field mapping (${source}):\n  - ${errors.join('\n  - ')}`);
+        error.mappingErrors = errors;
+        throw error;
+    }
+
+    return {
+        source,
+        eventTypes: Object.keys(mapping.events),
+
+        has(eventType) {
+            return Object.prototype.hasOwnProperty.call(mapping.events, eventType);
+        },
+
+        // Returns { object, externalId, record } for the event, or null when its type is not mapped.
+        // An event without a value for the external ID field is created rather than upserted
+        // (externalId null, the field left out of the record)
+        resolve(event) {
+            const target = mapping.events[event.eventCategoryType];
+            if (!target) {
+                return null;
+            }
+            const record = {};
+            for (const [field, spec] of Object.entries(target.fields)) {
+                record[field] = resolveField(event, spec);
+            }
+            let externalId = target.externalId || null;
+            if (externalId) {
+                const spec = target.fields[externalId];
+                const value = typeof spec === 'string' ? record[externalId] : resolveField(event, Object.assign({}, spec, { default: null }));
+                if (isEmpty(value)) {
+                    delete record[externalId];
+                    externalId = null;
+                }
+            }
+            return {
+                object: target.object,
+                externalId,
+                record
+            };
+        }
+    };
+}
+
+function loadFieldMapping(filePath) {
+    if (!filePath) {
+        return createFieldMapping(DEFAULT_MAPPING);
+    }
+    let mapping;
+    try {
+        mapping = parseMappingFile(filePath);
+    } catch (error) {
+        throw new Error(`Could not read Salesforce field mapping ${filePath}: ${error.message}`);
+    }
+    return createFieldMapping(mapping, filePath);
+}
+
+module.exports = {
+    DEFAULT_MAPPING,
+    createFieldMapping,
+    loadFieldMapping,
+    validateMapping,
+    resolveField,
+    getPath
+};
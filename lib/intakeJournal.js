@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Intake Journal ---
+// Every verified ENS payload is written to its own file in the journal
+// directory, and flushed to disk, before /ens/callback answers 200. The file
+// is removed once the payload has been processed (its events stored and their
+// first delivery attempted). Files still there at startup belong to payloads
+// that were acknowledged but never finished - a crash, or a shutdown that ran
+// out of time - and are processed again. Each entry counts its attempts; one
+// that is still there after INTAKE_JOURNAL_MAX_ATTEMPTS is moved to the
+// quarantine directory inside the journal, where it is kept for an operator
+// to look at, instead of failing again on every start.
+//
+// INTAKE_JOURNAL               set to false to turn the journal off
+// INTAKE_JOURNAL_DIR           where entries are kept (default ./data/journal)
+// INTAKE_JOURNAL_MAX_ATTEMPTS  attempts before an entry is quarantined (default 5)
+
+const ENTRY_EXTENSION = '.json';
+
+function createIntakeJournal({ dir, maxAttempts = 5 }) {
+    const quarantineDir = path.join(dir, 'quarantine');
+    let sequence = 0;
+    const counts = { written: 0, completed: 0, replayed: 0, quarantined: 0 };
+    let pending = 0;
+    let lastError = null;
+
+    function entryPath(id) {
+        return path.join(dir, `${id}${ENTRY_EXTENSION}`);
+    }
+
+    // Write to a temporary file, flush it and rename it into place, so a crash
+    // never leaves half an entry behind
+    async function writeDurably(filePath, contents) {
+        const tmpPath = `${filePath}.tmp`;
+        const handle = await fs.promises.open(tmpPath, 'w');
+        try {
+            await handle.writeFile(contents);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tmpPath, filePath);
+        // Make the rename itself durable; not every platform can sync a directory
+        try {
+            const dirHandle = await fs.promises.open(dir, 'r');
+            try {
+                await dirHandle.sync();
+            } finally {
+                await dirHandle.close();
+            }
+        } catch (error) {
+            // Best effort
+        }
+    }
+
+    return {
+        dir,
+        quarantineDir,
+
+        // Create the directory, drop unfinished writes and return the entries left
+        // by the previous run, oldest first: [{ id, tenant, receivedAt, attempts, payload }]
+        async init() {
+            await fs.promises.mkdir(dir, { recursive: true });
+            try {
+                counts.quarantined = (await fs.promises.readdir(quarantineDir)).filter(name => name.endsWith(ENTRY_EXTENSION)).length;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+            const names = (await fs.promises.readdir(dir)).sort();
+            const entries = [];
+            for (const name of names) {
+                const filePath = path.join(dir, name);
+                if (name.endsWith('.tmp')) {
+                    // Never acknowledged - the write did not finish
+                    await fs.promises.unlink(filePath).catch(() => {});
+                    continue;
+                }
+                if (!name.endsWith(ENTRY_EXTENSION)) {
+                    continue;
+                }
+                try {
+                    entries.push(JSON.parse(await fs.promises.readFile(filePath, 'utf8')));
+                } catch (error) {
+                    console.warn(`⚠️  Skipping unreadable intake journal entry ${filePath}: ${error.message}`);
+                }
+            }
+            pending = entries.length;
+            counts.replayed = entries.length;
+            return entries;
+        },
+
+        // Resolves once the payload is on disk; returns the entry ID for complete()
+        async record(tenantId, payload) {
+            // Sortable by arrival: zero-padded time and sequence, plus a random part
+            const id = `${String(Date.now()).padStart(14, '0')}-${String(sequence++ % 1000000).padStart(6, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+            try {
+                await writeDurably(entryPath(id), JSON.stringify({ id, tenant: tenantId, receivedAt: new Date().toISOString(), attempts: 1, payload }));
+            } catch (error) {
+                lastError = error.message;
+                throw error;
+            }
+            counts.written++;
+            pending++;
+            return id;
+        },
+
+        // Call before processing an entry from init() again. Counts the attempt on
+        // disk and resolves true, or moves an entry that has used up its attempts
+        // to the quarantine directory and resolves false
+        async attempt(entry) {
+            // Entries written before attempts were counted have had one
+            const attempts = entry.attempts || 1;
+            try {
+                if (attempts >= maxAttempts) {
+                    await fs.promises.mkdir(quarantineDir, { recursive: true });
+                    await fs.promises.rename(entryPath(entry.id), path.join(quarantineDir, `${entry.id}${ENTRY_EXTENSION}`));
+                    counts.quarantined++;
+                    pending = Math.max(pending - 1, 0);
+                    return false;
+                }
+                await writeDurably(entryPath(entry.id), JSON.stringify(Object.assign({}, entry, { attempts: attempts + 1 })));
+            } catch (error) {
+                lastError = error.message;
+                throw error;
+            }
+            entry.attempts = attempts + 1;
+            return true;
+        },
+
+        async complete(id) {
+            try {
+                await fs.promises.unlink(entryPath(id));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    lastError = error.message;
+                    throw error;
+                }
+            }
+            counts.completed++;
+            pending = Math.max(pending - 1, 0);
+        },
+
+        // Entries written but not yet completed
+        pending() {
+            return pending;
+        },
+
+        stats() {
+            return Object.assign({ dir, maxAttempts, pending, lastError }, counts);
+        }
+    };
+}
+
+module.exports = {
+    createIntakeJournal
+};
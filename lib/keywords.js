@@ -0,0 +1,414 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { expandEnv } = require('./config');
+const { getPath } = require('./fieldMapping');
+
+// --- Keyword Rules ---
+// Inbound message text is checked against keyword rules (KEYWORD_RULES_FILE,
+// JSON or YAML, or inline KEYWORD_RULES JSON; see keywords.example.json). The
+// first rule with a matching keyword or pattern wins and its actions run:
+//   opt_out / opt_in  record that the number opted out (or back in); see lib/optOutStore.js
+//   tag               add `tags` to the stored event
+//   consent           update `fields` on the customer's Contact, PersonAccount or
+//                     Lead, as found by customer resolution (SF_RESOLVE_CUSTOMERS)
+//   reply             POST a JSON `body` to `url` (headers, timeoutMs), e.g. a Marketing
+//                     Cloud transactional send; with `marketingCloud: true`, `url` is a
+//                     REST path called with the tenant's Marketing Cloud credentials
+//
+// `keywords` and `patterns` are lists, or objects of lists keyed by locale
+// ("en", "es", ...). Keywords match the whole message, ignoring case, accents,
+// surrounding spaces and punctuation ("Stop!", "stop" and "STOP" are the
+// same); patterns are case-insensitive regular expressions. The locale of the
+// match is recorded and, like the keyword, available to reply and consent
+// values as "{{locale}}". "${NAME}" is replaced with the NAME environment
+// variable when the rules are loaded.
+
+const INBOUND_EVENT_TYPE = 'EngagementEvents.OttMobileOriginated';
+const RULE_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const SALESFORCE_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+const DEFAULT_LOCALE = 'default';
+const MESSAGE_PATHS = ['messageBody', 'message.text'];
+const ACTION_SETTINGS = {
+    opt_out: [],
+    opt_in: [],
+    tag: ['tags'],
+    consent: ['fields'],
+    reply: ['url', 'marketingCloud', 'headers', 'body', 'timeoutMs']
+};
+const ACTION_TYPES = Object.keys(ACTION_SETTINGS);
+// Actions that call out to Salesforce or another service after the event is stored
+const REMOTE_ACTIONS = ['consent', 'reply'];
+// Salesforce object and customer field holding the record ID, per customer resolution object
+const CONSENT_TARGETS = {
+    Contact: { object: 'Contact', idField: 'contactId' },
+    PersonAccount: { object: 'Account', idField: 'accountId' },
+    Lead: { object: 'Lead', idField: 'leadId' }
+};
+const TEMPLATE_VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "¡Baja!" -> "BAJA", " Stop. " -> "STOP"
+function normalizeText(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '')
+        .replace(/\s+/g, ' ')
+        .toUpperCase();
+}
+
+// A list is the default locale; an object maps locale to its list
+function byLocale(value) {
+    return Array.isArray(value) ? { [DEFAULT_LOCALE]: value } : value || {};
+}
+
+function validateTerms(where, value, check) {
+    const errors = [];
+    if (!Array.isArray(value) && !isObject(value)) {
+        return [`${where} must be a list, or an object of lists keyed by locale`];
+    }
+    for (const [locale, terms] of Object.entries(byLocale(value))) {
+        const at = Array.isArray(value) ? where : `${where}.${locale}`;
+        if (!Array.isArray(terms) || !terms.length || terms.some(term => typeof term !== 'string' || !term.trim())) {
+            errors.push(`${at} must be a non-empty list of strings`);
+            continue;
+        }
+        terms.forEach(term => {
+            const problem = check(term);
+            if (problem) {
+                errors.push(`${at}: ${problem}`);
+            }
+        });
+    }
+    return errors;
+}
+
+function validateAction(where, action) {
+    const errors = [];
+    if (!isObject(action) || !ACTION_TYPES.includes(action.type)) {
+        return [`${where}.type must be one of ${ACTION_TYPES.join(', ')}`];
+    }
+    const unknown = Object.keys(action).filter(key => key !== 'type' && !ACTION_SETTINGS[action.type].includes(key));
+    if (unknown.length) {
+        errors.push(`${where} has unknown option(s) for a ${action.type} action: ${unknown.join(', ')}`);
+    }
+    if (action.type === 'tag' &&
+        !(Array.isArray(action.tags) && action.tags.length && action.tags.every(tag => typeof tag === 'string' && tag))) {
+        errors.push(`${where}.tags must be a non-empty list of strings`);
+    }
+    if (action.type === 'consent') {
+        if (!isObject(action.fields) || !Object.keys(action.fields).length) {
+            errors.push(`${where}.fields must map ${Object.keys(CONSENT_TARGETS).join(', ')} to the fields to update`);
+        } else {
+            for (const [object, fields] of Object.entries(action.fields)) {
+                if (!CONSENT_TARGETS[object]) {
+                    errors.push(`${where}.fields: "${object}" must be one of ${Object.keys(CONSENT_TARGETS).join(', ')}`);
+                } else if (!isObject(fields) || !Object.keys(fields).length || Object.keys(fields).some(field => !SALESFORCE_NAME.test(field))) {
+                    errors.push(`${where}.fields.${object} must map Salesforce field API names to values`);
+                }
+            }
+        }
+    }
+    if (action.type === 'reply') {
+        if (action.marketingCloud !== undefined && typeof action.marketingCloud !== 'boolean') {
+            errors.push(`${where}.marketingCloud must be true or false`);
+        }
+        if (action.marketingCloud === true) {
+            if (typeof action.url !== 'string' || !action.url.startsWith('/')) {
+                errors.push(`${where}.url must be a Marketing Cloud REST path starting with "/" when marketingCloud is true`);
+            }
+            if (action.headers !== undefined) {
+                errors.push(`${where}.headers cannot be used with marketingCloud`);
+            }
+        } else if (typeof action.url !== 'string' || !/^https?:\/\//.test(action.url)) {
+            errors.push(`${where}.url must be an http(s) URL`);
+        }
+        if (action.headers !== undefined && (!isObject(action.headers) || Object.values(action.headers).some(value => typeof value !== 'string'))) {
+            errors.push(`${where}.headers must map header names to strings`);
+        }
+        if (action.body !== undefined && !isObject(action.body) && !Array.isArray(action.body)) {
+            errors.push(`${where}.body must be a JSON object or list`);
+        }
+        if (action.timeoutMs !== undefined && !(Number.isInteger(action.timeoutMs) && action.timeoutMs > 0)) {
+            errors.push(`${where}.timeoutMs must be a positive integer`);
+        }
+    }
+    return errors;
+}
+
+// Collects every problem in the keyword rules so they can be reported together
+function validateKeywordRules(config) {
+    const errors = [];
+    if (!isObject(config) || !isObject(config.rules) || !Object.keys(config.rules).length) {
+        return ['keyword rules must be an object with "rules" keyed by rule name'];
+    }
+    // A keyword claimed by an earlier rule could never reach a later one
+    const claimed = new Map();
+    for (const [name, rule] of Object.entries(config.rules)) {
+        const where = `rules["${name}"]`;
+        if (!RULE_NAME.test(name)) {
+            errors.push(`${where}: rule names must be up to 40 lowercase letters, digits, "-" or "_"`);
+        }
+        if (!isObject(rule)) {
+            errors.push(`${where} must be an object`);
+            continue;
+        }
+        const unknown = Object.keys(rule).filter(key => !['keywords', 'patterns', 'actions'].includes(key));
+        if (unknown.length) {
+            errors.push(`${where} has unknown option(s): ${unknown.join(', ')}`);
+        }
+        if (rule.keywords === undefined && rule.patterns === undefined) {
+            errors.push(`${where} needs "keywords" or "patterns"`);
+        }
+        if (rule.keywords !== undefined) {
+            errors.push(...validateTerms(`${where}.keywords`, rule.keywords, keyword => {
+                const normalized = normalizeText(keyword);
+                if (!normalized) {
+                    return `"${keyword}" has no letters or digits`;
+                }
+                if (claimed.has(normalized) && claimed.get(normalized) !== name) {
+                    return `"${keyword}" is already a keyword of rule "${claimed.get(normalized)}"`;
+                }
+                claimed.set(normalized, name);
+                return null;
+            }));
+        }
+        if (rule.patterns !== undefined) {
+            errors.push(...validateTerms(`${where}.patterns`, rule.patterns, pattern => {
+                try {
+                    new RegExp(pattern, 'iu');
+                    return null;
+                } catch (error) {
+                    return `invalid pattern "${pattern}": ${error.message}`;
+                }
+            }));
+        }
+        if (!Array.isArray(rule.actions) || !rule.actions.length) {
+            errors.push(`${where}.actions must be a non-empty list`);
+        } else {
+            rule.actions.forEach((action, i) => errors.push(...validateAction(`${where}.actions[${i}]`, action)));
+            const types = rule.actions.map(action => action && action.type);
+            if (types.includes('opt_out') && types.includes('opt_in')) {
+                errors.push(`${where}.actions cannot both opt out and opt in`);
+            }
+        }
+    }
+    return errors;
+}
+
+function loadKeywordConfig(env) {
+    if (env.KEYWORD_RULES_FILE) {
+        const contents = fs.readFileSync(env.KEYWORD_RULES_FILE, 'utf8');
+        const extension = path.extname(env.KEYWORD_RULES_FILE).toLowerCase();
+        return {
+            source: env.KEYWORD_RULES_FILE,
+            config: extension === '.yaml' || extension === '.yml' ? require('js-yaml').load(contents) : JSON.parse(contents)
+        };
+    }
+    if (env.KEYWORD_RULES) {
+        return { source: 'KEYWORD_RULES', config: JSON.parse(env.KEYWORD_RULES) };
+    }
+    return null;
+}
+
+// Replace "{{name}}" in every string of a value with `variables[name]`
+function renderTemplate(value, variables) {
+    if (typeof value === 'string') {
+        return value.replace(TEMPLATE_VARIABLE, (match, name) => (variables[name] === undefined || variables[name] === null ? '' : String(variables[name])));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => renderTemplate(item, variables));
+    }
+    if (isObject(value)) {
+        const rendered = {};
+        for (const [key, item] of Object.entries(value)) {
+            rendered[key] = renderTemplate(item, variables);
+        }
+        return rendered;
+    }
+    return value;
+}
+
+// --- Remote Actions ---
+// Each resolves with a short description of what was done, or { skipped } when
+// there was nothing to do, and throws when the call failed.
+// context = { tenant, storedEvent, withConnection, customerResolver }
+
+function templateVariables(storedEvent) {
+    const match = storedEvent.keyword;
+    return {
+        eventId: storedEvent.eventId,
+        tenant: storedEvent.tenant,
+        messageId: storedEvent.id,
+        mobileNumber: storedEvent.payload.mobileNumber,
+        contactKey: storedEvent.payload.contactKey,
+        timestamp: storedEvent.timestamp,
+        rule: match.rule,
+        keyword: match.keyword,
+        locale: match.locale
+    };
+}
+
+async function runConsent(action, { tenant, storedEvent, withConnection, customerResolver }) {
+    if (!withConnection) {
+        return { skipped: `tenant ${tenant.id} has no Salesforce integration` };
+    }
+    return withConnection(async conn => {
+        const customer = await customerResolver.lookup(conn, tenant.id, storedEvent.payload);
+        if (!customer.matched) {
+            return { skipped: 'no matching customer' };
+        }
+        const fields = action.fields[customer.object];
+        const target = CONSENT_TARGETS[customer.object];
+        if (!fields || !customer[target.idField]) {
+            return { skipped: `no consent fields for a ${customer.object}` };
+        }
+        const id = customer[target.idField];
+        const result = await conn.sobject(target.object).update(Object.assign({ Id: id }, renderTemplate(fields, templateVariables(storedEvent))));
+        if (!result.success) {
+            throw Object.assign(new Error(`${target.object} update failed: ${JSON.stringify(result.errors)}`), { errors: result.errors });
+        }
+        return { detail: `${customer.object} ${id} updated` };
+    });
+}
+
+async function runReply(action, { tenant, storedEvent }) {
+    const variables = templateVariables(storedEvent);
+    const url = renderTemplate(action.url, variables);
+    const body = renderTemplate(action.body || {}, variables);
+    if (action.marketingCloud) {
+        if (!tenant.marketingCloud) {
+            return { skipped: `Marketing Cloud API not configured for tenant ${tenant.id}` };
+        }
+        await tenant.marketingCloud.restRequest('post', url, body, 'keyword reply');
+        return { detail: `sent through Marketing Cloud ${url.split('?')[0]}` };
+    }
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, renderTemplate(action.headers || {}, variables));
+    const response = await axios.post(url, body, { headers, timeout: action.timeoutMs || 10000 });
+    return { detail: `HTTP ${response.status}` };
+}
+
+const REMOTE_RUNNERS = { consent: runConsent, reply: runReply };
+
+function createKeywordRules(config, source) {
+    const rules = Object.entries(config.rules).map(([name, rule]) => ({
+        name,
+        actions: rule.actions,
+        keywords: Object.entries(byLocale(rule.keywords)).map(([locale, terms]) => ({
+            locale,
+            terms: new Map(terms.map(term => [normalizeText(term), term]))
+        })),
+        patterns: Object.entries(byLocale(rule.patterns)).map(([locale, patterns]) => ({
+            locale,
+            patterns: patterns.map(pattern => new RegExp(pattern, 'iu'))
+        }))
+    }));
+
+    return {
+        source,
+        rules: rules.map(rule => rule.name),
+        // Action types used by any rule
+        actionTypes: new Set(rules.flatMap(rule => rule.actions.map(action => action.type))),
+
+        // Returns { rule, keyword, locale, matchedBy } for the first matching rule, or null
+        match(event) {
+            if (event.eventCategoryType !== INBOUND_EVENT_TYPE) {
+                return null;
+            }
+            let text = null;
+            for (const messagePath of MESSAGE_PATHS) {
+                const value = getPath(event, messagePath);
+                if (typeof value === 'string' && value.trim()) {
+                    text = value;
+                    break;
+                }
+            }
+            if (!text) {
+                return null;
+            }
+            const normalized = normalizeText(text);
+            for (const rule of rules) {
+                for (const { locale, terms } of rule.keywords) {
+                    if (terms.has(normalized)) {
+                        return { rule: rule.name, keyword: terms.get(normalized), locale, matchedBy: 'keyword' };
+                    }
+                }
+                for (const { locale, patterns } of rule.patterns) {
+                    const pattern = patterns.find(p => p.test(text));
+                    if (pattern) {
+                        return { rule: rule.name, keyword: pattern.source, locale, matchedBy: 'pattern' };
+                    }
+                }
+            }
+            return null;
+        },
+
+        // Fields stored with a matched event: the match with one state per action,
+        // plus the tags and opt-out change, which take effect immediately
+        applyMatch(match) {
+            const rule = rules.find(r => r.name === match.rule);
+            const details = {
+                keyword: Object.assign({}, match, {
+                    actions: rule.actions.map(action => ({
+                        type: action.type,
+                        status: REMOTE_ACTIONS.includes(action.type) ? 'pending' : 'done'
+                    }))
+                })
+            };
+            const tags = rule.actions.filter(action => action.type === 'tag').flatMap(action => action.tags);
+            if (tags.length) {
+                details.tags = Array.from(new Set(tags));
+            }
+            const optChange = rule.actions.find(action => action.type === 'opt_out' || action.type === 'opt_in');
+            if (optChange) {
+                details.optOut = optChange.type === 'opt_out';
+            }
+            return details;
+        },
+
+        // Indexes of the actions still to run for a stored event
+        pendingActions(storedEvent) {
+            const match = storedEvent.keyword;
+            return match ? match.actions.map((state, i) => (state.status === 'pending' ? i : -1)).filter(i => i >= 0) : [];
+        },
+
+        // Run one consent or reply action of a stored event's matched rule
+        runAction(index, context) {
+            const rule = rules.find(r => r.name === context.storedEvent.keyword.rule);
+            const action = rule && rule.actions[index];
+            if (!action || action.type !== context.storedEvent.keyword.actions[index].type) {
+                return Promise.resolve({ skipped: 'the keyword rule has changed since the event arrived' });
+            }
+            return REMOTE_RUNNERS[action.type](action, context);
+        }
+    };
+}
+
+// Returns the keyword rules, or null when none are configured
+function loadKeywordRules(env = process.env) {
+    let loaded;
+    try {
+        loaded = loadKeywordConfig(env);
+    } catch (error) {
+        throw new Error(`Could not read keyword rules: ${error.message}`);
+    }
+    if (!loaded) {
+        return null;
+    }
+    const config = expandEnv(loaded.config, env);
+    const errors = validateKeywordRules(config);
+    if (errors.length) {
+        throw new Error(`Invalid keyword rules (${loaded.source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    return createKeywordRules(config, loaded.source);
+}
+
+module.exports = {
+    normalizeText,
+    validateKeywordRules,
+    loadKeywordRules
+};
@@ -0,0 +1,67 @@
+// --- Outbound Message Lifecycle ---
+// Maps OttSent/OttDelivered/OttRead/OttFailed events onto the per-message
+// WhatsApp_Interaction__c record. ENS does not guarantee ordering, so the
+// status only ever moves forward; timestamps are always recorded.
+
+const LIFECYCLE_EVENTS = {
+    'EngagementEvents.OttSent': { status: 'Sent', rank: 1, timestampField: 'Sent_At__c' },
+    'EngagementEvents.OttFailed': { status: 'Failed', rank: 2, timestampField: null },
+    'EngagementEvents.OttDelivered': { status: 'Delivered', rank: 3, timestampField: 'Delivered_At__c' },
+    'EngagementEvents.OttRead': { status: 'Read', rank: 4, timestampField: 'Read_At__c' }
+};
+
+const STATUS_RANKS = Object.values(LIFECYCLE_EVENTS).reduce((ranks, step) => {
+    ranks[step.status] = step.rank;
+    return ranks;
+}, {});
+
+function isLifecycleEvent(eventType) {
+    return Object.prototype.hasOwnProperty.call(LIFECYCLE_EVENTS, eventType);
+}
+
+// Build the fields to upsert for a lifecycle event, given the status currently
+// on the Salesforce record (or null when there is no record yet).
+function buildLifecycleFields(event, currentStatus, timestamp) {
+    const step = LIFECYCLE_EVENTS[event.eventCategoryType];
+    const fields = {};
+
+    if (step.timestampField) {
+        fields[step.timestampField] = timestamp;
+    }
+    if (event.eventCategoryType === 'EngagementEvents.OttFailed') {
+        fields.Failure_Reason__c = event.reason ? String(event.reason).substring(0, 255) : null;
+    }
+
+    const currentRank = STATUS_RANKS[currentStatus] || 0;
+    if (step.rank > currentRank) {
+        fields.Status__c = step.status;
+    }
+
+    return fields;
+}
+
+// Runs tasks for the same key one after another, so two events for one
+// message cannot both read the old status and race each other.
+function createKeyedLock() {
+    const tails = new Map();
+
+    return function withLock(key, task) {
+        const previous = tails.get(key) || Promise.resolve();
+        const run = previous.catch(() => {}).then(task);
+        const tail = run.catch(() => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) {
+                tails.delete(key);
+            }
+        });
+        return run;
+    };
+}
+
+module.exports = {
+    LIFECYCLE_EVENTS,
+    isLifecycleEvent,
+    buildLifecycleFields,
+    createKeyedLock
+};
@@ -0,0 +1,151 @@
+const axios = require('axios');
+
+// --- Marketing Cloud ENS Management ---
+// Thin client for the Marketing Cloud Event Notification Service REST API:
+// callbacks (register, verify, list, delete) and subscriptions (list, create,
+// pause/resume, delete). Used by the admin API routes and bin/ens-admin.js.
+//
+// MC_AUTH_BASE_URL   https://YOUR_SUBDOMAIN.auth.marketingcloudapis.com (or a local mock)
+// MC_REST_BASE_URL   optional; defaults to the rest_instance_url returned with the token
+// MC_CLIENT_ID / MC_CLIENT_SECRET   installed package API integration (client credentials)
+// MC_ACCOUNT_ID      optional MID of the business unit
+
+// The event types the dashboard knows about
+const OTT_EVENT_TYPES = [
+    'EngagementEvents.OttMobileOriginated',
+    'EngagementEvents.OttSent',
+    'EngagementEvents.OttDelivered',
+    'EngagementEvents.OttRead',
+    'EngagementEvents.OttFailed'
+];
+
+function trimSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+// Errors carry the HTTP status the admin API should answer with
+function marketingCloudError(error, action) {
+    if (error.statusCode) {
+        return error;
+    }
+    const response = error.response;
+    const data = response && response.data;
+    const detail = data && (data.message || data.error_description || data.error || (data.errors && JSON.stringify(data.errors)));
+    const message = response
+        ? `Marketing Cloud ${action} failed (HTTP ${response.status})${detail ? `: ${detail}` : ''}`
+        : `Marketing Cloud ${action} failed: ${error.message}`;
+    return Object.assign(new Error(message), {
+        statusCode: response && response.status === 404 ? 404 : 502,
+        upstreamStatus: response ? response.status : null
+    });
+}
+
+function isMarketingCloudConfigured(env = process.env) {
+    return !!(env.MC_AUTH_BASE_URL && env.MC_CLIENT_ID && env.MC_CLIENT_SECRET);
+}
+
+function createMarketingCloudClient(env = process.env) {
+    if (!isMarketingCloudConfigured(env)) {
+        throw Object.assign(new Error('Marketing Cloud API not configured - set MC_AUTH_BASE_URL, MC_CLIENT_ID and MC_CLIENT_SECRET'), { statusCode: 409 });
+    }
+    const authBaseUrl = trimSlash(env.MC_AUTH_BASE_URL);
+    let token = null;
+
+    async function getToken() {
+        if (token && Date.now() < token.expires) {
+            return token;
+        }
+        const body = {
+            grant_type: 'client_credentials',
+            client_id: env.MC_CLIENT_ID,
+            client_secret: env.MC_CLIENT_SECRET
+        };
+        if (env.MC_ACCOUNT_ID) {
+            body.account_id = env.MC_ACCOUNT_ID;
+        }
+        try {
+            const response = await axios.post(`${authBaseUrl}/v2/token`, body, { timeout: 15000 });
+            const { access_token, expires_in, rest_instance_url } = response.data;
+            token = {
+                accessToken: access_token,
+                restBaseUrl: trimSlash(env.MC_REST_BASE_URL || rest_instance_url || ''),
+                // Renew a minute early (tokens last about 20 minutes)
+                expires: Date.now() + Math.max(0, (Number(expires_in) || 1080) - 60) * 1000
+            };
+        } catch (error) {
+            throw marketingCloudError(error, 'authentication');
+        }
+        if (!token.restBaseUrl) {
+            throw Object.assign(new Error('Marketing Cloud did not return rest_instance_url - set MC_REST_BASE_URL'), { statusCode: 502 });
+        }
+        return token;
+    }
+
+    async function request(method, path, data, action) {
+        const { accessToken, restBaseUrl } = await getToken();
+        try {
+            const response = await axios({
+                method,
+                url: `${restBaseUrl}${path}`,
+                data,
+                timeout: 15000,
+                headers: { Authorization: `Bearer ${accessToken}` }
+            });
+            return response.data;
+        } catch (error) {
+            throw marketingCloudError(error, action);
+        }
+    }
+
+    // The ENS API takes and returns lists; these helpers deal in single items
+    const first = result => (Array.isArray(result) ? result[0] : result);
+
+    return {
+        getToken,
+
+        // Any other REST API call, e.g. a transactional send from a keyword reply
+        restRequest(method, path, data, action = 'request') {
+            return request(method, path, data, action);
+        },
+
+        listCallbacks() {
+            return request('get', '/platform/v1/ens-callbacks', undefined, 'callback listing');
+        },
+
+        // Returns the callback including its signatureKey - the only time it is shown
+        async registerCallback({ name, url, maxBatchSize = 1000 }) {
+            return first(await request('post', '/platform/v1/ens-callbacks', [{ callbackName: name, url, maxBatchSize }], 'callback registration'));
+        },
+
+        verifyCallback(callbackId, verificationKey) {
+            return request('post', '/platform/v1/ens-verify', { callbackId, verificationKey }, 'callback verification');
+        },
+
+        deleteCallback(callbackId) {
+            return request('delete', `/platform/v1/ens-callbacks/${encodeURIComponent(callbackId)}`, undefined, 'callback deletion');
+        },
+
+        listSubscriptions(callbackId) {
+            return request('get', `/platform/v1/ens-subscriptions-by-cb/${encodeURIComponent(callbackId)}`, undefined, 'subscription listing');
+        },
+
+        async createSubscription({ name, callbackId, eventCategoryTypes = OTT_EVENT_TYPES }) {
+            return first(await request('post', '/platform/v1/ens-subscriptions', [{ subscriptionName: name, callbackId, eventCategoryTypes }], 'subscription creation'));
+        },
+
+        // status is "paused" or "active"
+        async setSubscriptionStatus(name, status) {
+            return first(await request('patch', '/platform/v1/ens-subscriptions', [{ subscriptionName: name, status }], 'subscription update'));
+        },
+
+        deleteSubscription(name) {
+            return request('delete', `/platform/v1/ens-subscriptions/${encodeURIComponent(name)}`, undefined, 'subscription deletion');
+        }
+    };
+}
+
+module.exports = {
+    OTT_EVENT_TYPES,
+    isMarketingCloudConfigured,
+    createMarketingCloudClient
+};
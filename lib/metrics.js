@@ -0,0 +1,113 @@
+// --- Prometheus Metrics ---
+// A minimal metrics registry rendering the Prometheus text exposition format
+// (version 0.0.4) for /metrics. Counters and histograms take a label object;
+// gauges are read from a callback when the endpoint is scraped.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labels, extra) {
+    const pairs = labelNames.map(name => `${name}="${escapeLabelValue(labels[name] === undefined ? '' : labels[name])}"`);
+    if (extra) {
+        pairs.push(extra);
+    }
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function createCounter(name, help, labelNames) {
+    const series = new Map();
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            const current = series.get(key);
+            series.set(key, { labels, value: (current ? current.value : 0) + amount });
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labelNames, labels)} ${value}`);
+            }
+            return lines;
+        }
+    };
+}
+
+function createHistogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+
+    function observe(labels = {}, seconds) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+            entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            series.set(key, entry);
+        }
+        buckets.forEach((bound, i) => {
+            if (seconds <= bound) {
+                entry.counts[i]++;
+            }
+        });
+        entry.sum += seconds;
+        entry.count++;
+    }
+
+    return {
+        observe,
+        // Returns a function that records the elapsed time; labels may be added when it is called
+        startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (endLabels = {}) => {
+                observe(Object.assign({}, labels, endLabels), Number(process.hrtime.bigint() - start) / 1e9);
+            };
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels(labelNames, labels, `le="${bound}"`)} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels(labelNames, labels, 'le="+Inf"')} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labelNames, labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labelNames, labels)} ${count}`);
+            }
+            return lines;
+        }
+    };
+}
+
+function createGauge(name, help, collect) {
+    return {
+        render() {
+            return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${Number(collect()) || 0}`];
+        }
+    };
+}
+
+function createMetrics() {
+    const metrics = [];
+    const register = metric => {
+        metrics.push(metric);
+        return metric;
+    };
+
+    return {
+        counter: (name, help, labelNames = []) => register(createCounter(name, help, labelNames)),
+        histogram: (name, help, labelNames = [], buckets) => register(createHistogram(name, help, labelNames, buckets)),
+        gauge: (name, help, collect) => register(createGauge(name, help, collect)),
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+        render() {
+            return metrics.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+        }
+    };
+}
+
+module.exports = {
+    createMetrics
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- NDJSON Log ---
+// Append-only NDJSON file behind the file backends of the event and opt-out
+// stores. Each write is flushed to disk before the in-memory copy is changed,
+// so a failed write is never visible through the API. Writes run one at a
+// time; the file is rewritten from `snapshot()` once it holds twice as many
+// lines as `count()` live records.
+
+function createNdjsonLog({ filePath, label, count, snapshot }) {
+    let lineCount = 0;
+    let writeQueue = Promise.resolve();
+
+    // A failed write is reported to its caller only
+    function enqueue(task) {
+        const result = writeQueue.then(task);
+        writeQueue = result.catch(error => {
+            console.error(`❌ ${label} write to ${filePath} failed:`, error.message);
+        });
+        return result;
+    }
+
+    async function writeSynced(file, flags, contents) {
+        const handle = await fs.promises.open(file, flags);
+        try {
+            await handle.writeFile(contents);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async function rewrite() {
+        const records = await snapshot();
+        const tmpPath = `${filePath}.tmp`;
+        const body = records.map(record => JSON.stringify(record)).join('\n');
+        await writeSynced(tmpPath, 'w', body ? body + '\n' : '');
+        await fs.promises.rename(tmpPath, filePath);
+        lineCount = records.length;
+    }
+
+    return {
+        // Records in file order; unreadable lines are skipped
+        async load() {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            let contents = '';
+            try {
+                contents = await fs.promises.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+            const records = [];
+            for (const line of contents.split('\n')) {
+                if (!line.trim()) {
+                    continue;
+                }
+                try {
+                    records.push(JSON.parse(line));
+                } catch (error) {
+                    console.warn(`⚠️  Skipping unreadable line in ${filePath}`);
+                }
+            }
+            return records;
+        },
+
+        // Writes the record `build()` returns, then runs `commit()` and resolves with
+        // its result. Both run in the write queue, so `build()` sees every earlier
+        // commit; when it returns null nothing is written and the result is null.
+        append(build, commit) {
+            return enqueue(async () => {
+                const record = await build();
+                if (!record) {
+                    return null;
+                }
+                await writeSynced(filePath, 'a', JSON.stringify(record) + '\n');
+                lineCount++;
+                const result = await commit();
+                if (lineCount > Math.max((await count()) * 2, 1000)) {
+                    await rewrite();
+                }
+                return result;
+            });
+        },
+
+        compact() {
+            return enqueue(rewrite);
+        },
+
+        async close() {
+            await writeQueue;
+        }
+    };
+}
+
+module.exports = {
+    createNdjsonLog
+};
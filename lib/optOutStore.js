@@ -0,0 +1,181 @@
+const path = require('path');
+const { tenantOf } = require('./tenants');
+const { createNdjsonLog } = require('./ndjsonLog');
+
+// --- Opt-Out Store ---
+// The latest opt_out / opt_in keyword of each number, kept apart from the event
+// store so that event retention never forgets an opt-out. It uses the same
+// backend as EVENT_STORE and every backend exposes the same async interface:
+//   record(storedEvent)  -> the number's entry, or null for an event without a number
+//   list()               -> entries of numbers that are opted out, newest first
+//   count()              -> number of numbers with an entry (opted out or back in)
+//
+// Entries are keyed by tenant and the digits of the number, so differently
+// formatted copies of a number are the same number. The last one recorded wins.
+
+function entryKey(storedEvent) {
+    return `${tenantOf(storedEvent)}|${String(storedEvent.mobileNumber).replace(/\D/g, '')}`;
+}
+
+function entryFor(storedEvent) {
+    if (typeof storedEvent.optOut !== 'boolean' || !storedEvent.mobileNumber || storedEvent.mobileNumber === 'N/A') {
+        return null;
+    }
+    return {
+        key: entryKey(storedEvent),
+        tenant: tenantOf(storedEvent),
+        optOut: storedEvent.optOut,
+        mobileNumber: storedEvent.mobileNumber,
+        contactKey: storedEvent.contactKey,
+        timestamp: storedEvent.timestamp,
+        recordedAt: new Date().toISOString(),
+        rule: storedEvent.keyword.rule,
+        keyword: storedEvent.keyword.keyword,
+        locale: storedEvent.keyword.locale,
+        eventId: storedEvent.eventId
+    };
+}
+
+// --- In-Memory Backend (default) ---
+function createMemoryOptOutStore() {
+    // Map iteration follows insertion order, so re-inserting keeps the newest last
+    const entries = new Map();
+
+    function put(entry) {
+        entries.delete(entry.key);
+        entries.set(entry.key, entry);
+    }
+
+    return {
+        type: 'memory',
+        async init() {},
+        async record(storedEvent) {
+            const entry = entryFor(storedEvent);
+            if (entry) {
+                put(entry);
+            }
+            return entry;
+        },
+        // Stores an entry as it is, e.g. one read back from disk
+        put,
+        async list() {
+            return Array.from(entries.values()).filter(entry => entry.optOut).reverse();
+        },
+        async all() {
+            return Array.from(entries.values());
+        },
+        async count() {
+            return entries.size;
+        },
+        async close() {}
+    };
+}
+
+// --- File Backend ---
+// Append-only NDJSON file of entries, replayed into memory on startup and
+// compacted once it holds twice as many lines as numbers. record() resolves
+// once the line is flushed to disk and rejects, leaving the number as it
+// was, if it could not be written. See lib/ndjsonLog.js
+function createFileOptOutStore({ filePath }) {
+    const memory = createMemoryOptOutStore();
+    const log = createNdjsonLog({
+        filePath,
+        label: 'Opt-out store',
+        count: () => memory.count(),
+        snapshot: () => memory.all()
+    });
+
+    return {
+        type: 'file',
+        async init() {
+            for (const entry of await log.load()) {
+                memory.put(entry);
+            }
+            await log.compact();
+            const count = await memory.count();
+            console.log(`✅ Loaded ${count} opt-out entr${count === 1 ? 'y' : 'ies'} from ${filePath}`);
+        },
+        async record(storedEvent) {
+            const entry = entryFor(storedEvent);
+            if (entry) {
+                await log.append(() => entry, () => memory.put(entry));
+            }
+            return entry;
+        },
+        list: memory.list,
+        count: memory.count,
+        close: log.close
+    };
+}
+
+// --- PostgreSQL Backend ---
+function createPostgresOptOutStore({ connectionString, ssl }) {
+    const { Pool } = require('pg');
+    const pool = new Pool({
+        connectionString,
+        ssl: ssl ? { rejectUnauthorized: false } : false
+    });
+
+    return {
+        type: 'postgres',
+        async init() {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS ens_opt_outs (
+                    key TEXT PRIMARY KEY,
+                    opted_out BOOLEAN NOT NULL,
+                    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                    data JSONB NOT NULL
+                )`);
+        },
+        async record(storedEvent) {
+            const entry = entryFor(storedEvent);
+            if (entry) {
+                await pool.query(
+                    `INSERT INTO ens_opt_outs (key, opted_out, recorded_at, data)
+                     VALUES ($1, $2, $3, $4)
+                     ON CONFLICT (key) DO UPDATE SET opted_out = EXCLUDED.opted_out, recorded_at = EXCLUDED.recorded_at, data = EXCLUDED.data`,
+                    [entry.key, entry.optOut, entry.recordedAt, entry]
+                );
+            }
+            return entry;
+        },
+        async list() {
+            const result = await pool.query('SELECT data FROM ens_opt_outs WHERE opted_out ORDER BY recorded_at DESC');
+            return result.rows.map(row => row.data);
+        },
+        async count() {
+            const result = await pool.query('SELECT COUNT(*)::int AS count FROM ens_opt_outs');
+            return result.rows[0].count;
+        },
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+// --- Factory ---
+function createOptOutStore(env = process.env) {
+    const type = (env.EVENT_STORE || 'memory').toLowerCase();
+    switch (type) {
+        case 'memory':
+            return createMemoryOptOutStore();
+        case 'file':
+            return createFileOptOutStore({
+                filePath: env.OPT_OUT_STORE_FILE || path.join(process.cwd(), 'data', 'opt-outs.ndjson')
+            });
+        case 'postgres':
+            if (!env.DATABASE_URL) {
+                throw new Error('EVENT_STORE=postgres requires DATABASE_URL to be set');
+            }
+            return createPostgresOptOutStore({
+                connectionString: env.DATABASE_URL,
+                ssl: env.DATABASE_SSL !== 'false'
+            });
+        default:
+            throw new Error(`Unknown EVENT_STORE "${type}" (expected memory, file or postgres)`);
+    }
+}
+
+module.exports = {
+    createOptOutStore
+};
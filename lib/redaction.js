@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// --- PII Redaction Policy ---
+// Lists payload paths to mask, hash or drop, separately for each place event
+// data leaves the process:
+//   logs       - console output (and so Heroku logs and log drains)
+//   api        - /api/* responses, the live stream and the dashboard
+//   salesforce - the event as mapped to Salesforce fields, including Raw_Payload__c
+//                and Platform Event sinks
+//   sinks      - the event forwarded by the http and file output sinks
+// Loaded from REDACTION_POLICY_FILE (JSON or YAML) or inline REDACTION_POLICY JSON.
+// Paths are dotted payload paths; "*" matches any key or array element.
+
+const TARGETS = ['logs', 'api', 'salesforce', 'sinks'];
+const ACTIONS = ['mask', 'hash', 'drop'];
+
+// Without a policy, logs no longer carry phone numbers, contact keys or message text
+const DEFAULT_POLICY = {
+    logs: {
+        mobileNumber: 'mask',
+        contactKey: 'mask',
+        messageBody: 'drop',
+        'message.text': 'drop'
+    },
+    api: {},
+    salesforce: {},
+    sinks: {}
+};
+
+// Stored-event summary fields and the payload paths they are copied from
+const SUMMARY_FIELDS = {
+    mobileNumber: 'mobileNumber',
+    contactKey: 'contactKey',
+    sendMethod: 'sendMethod',
+    journeyName: 'journeyName',
+    activityName: 'activityName',
+    messageType: 'messageType',
+    failureReason: 'reason'
+};
+
+function maskValue(value) {
+    const text = String(value);
+    if (text.length <= 4) {
+        return '*'.repeat(text.length);
+    }
+    return '*'.repeat(text.length - 4) + text.slice(-4);
+}
+
+// Phone numbers hash the same whatever their formatting ("+1 (555) 010-0000" == "15550100000")
+function normalizeForHash(value) {
+    const text = String(value).trim();
+    return /^[+\d\s().-]+$/.test(text) ? text.replace(/\D/g, '') : text;
+}
+
+// HMAC-SHA256 under key, or plain SHA-256 without one, shortened to hash:<16 hex>
+function hashIdentifier(value, key) {
+    const normalized = normalizeForHash(value);
+    const digest = key
+        ? crypto.createHmac('sha256', key).update(normalized).digest('hex')
+        : crypto.createHash('sha256').update(normalized).digest('hex');
+    return `hash:${digest.substring(0, 16)}`;
+}
+
+function validatePolicy(policy) {
+    const errors = [];
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return [`policy must be an object keyed by target (${TARGETS.join(', ')})`];
+    }
+    for (const [target, rules] of Object.entries(policy)) {
+        if (!TARGETS.includes(target)) {
+            errors.push(`unknown target "${target}" (expected ${TARGETS.join(', ')})`);
+            continue;
+        }
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            errors.push(`${target} must map payload paths to an action`);
+            continue;
+        }
+        for (const [fieldPath, action] of Object.entries(rules)) {
+            if (!ACTIONS.includes(action)) {
+                errors.push(`${target}["${fieldPath}"] action "${action}" is not one of ${ACTIONS.join(', ')}`);
+            }
+        }
+    }
+    return errors;
+}
+
+function loadPolicy(env) {
+    if (env.REDACTION_POLICY_FILE) {
+        const contents = fs.readFileSync(env.REDACTION_POLICY_FILE, 'utf8');
+        const extension = path.extname(env.REDACTION_POLICY_FILE).toLowerCase();
+        return {
+            source: env.REDACTION_POLICY_FILE,
+            policy: extension === '.yaml' || extension === '.yml' ? require('js-yaml').load(contents) : JSON.parse(contents)
+        };
+    }
+    if (env.REDACTION_POLICY) {
+        return { source: 'REDACTION_POLICY', policy: JSON.parse(env.REDACTION_POLICY) };
+    }
+    return { source: 'built-in default', policy: DEFAULT_POLICY };
+}
+
+function createRedactor(env = process.env) {
+    let loaded;
+    try {
+        loaded = loadPolicy(env);
+    } catch (error) {
+        throw new Error(`Could not read redaction policy: ${error.message}`);
+    }
+    const errors = validatePolicy(loaded.policy);
+    if (errors.length) {
+        throw new Error(`Invalid redaction policy (${loaded.source}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    // Targets left out of the policy file are not redacted
+    const policy = {};
+    for (const target of TARGETS) {
+        policy[target] = Object.entries(loaded.policy[target] || {}).map(([fieldPath, action]) => ({
+            segments: fieldPath.split('.'),
+            action
+        }));
+    }
+
+    const hashKey = env.REDACTION_HASH_KEY;
+    const usesHash = TARGETS.some(target => policy[target].some(rule => rule.action === 'hash'));
+    if (usesHash && !hashKey) {
+        console.warn('⚠️  REDACTION_HASH_KEY not set - hashed values use plain SHA-256, which can be reversed for phone numbers');
+    }
+
+    // Deterministic, so hashed values can still be grouped and searched
+    function hashValue(value) {
+        return hashIdentifier(value, hashKey);
+    }
+
+    function applyAction(value, action) {
+        if (value === undefined || value === null || value === '' || value === 'N/A') {
+            return value;
+        }
+        if (action === 'hash') {
+            return hashValue(value);
+        }
+        if (action === 'mask') {
+            return maskValue(typeof value === 'object' ? JSON.stringify(value) : value);
+        }
+        return undefined;
+    }
+
+    function applyRule(node, segments, action) {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        const [segment, ...rest] = segments;
+        const keys = segment === '*' ? Object.keys(node) : [segment];
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(node, key)) {
+                continue;
+            }
+            if (rest.length) {
+                applyRule(node[key], rest, action);
+            } else if (action === 'drop') {
+                delete node[key];
+            } else {
+                node[key] = applyAction(node[key], action);
+            }
+        }
+    }
+
+    // Returns a redacted copy of an ENS event for the target; the original is untouched
+    function redact(event, target) {
+        const rules = policy[target];
+        if (!rules.length || !event || typeof event !== 'object') {
+            return event;
+        }
+        const copy = JSON.parse(JSON.stringify(event));
+        for (const rule of rules) {
+            applyRule(copy, rule.segments, rule.action);
+        }
+        return copy;
+    }
+
+    // Redacts a stored event's payload and the summary fields copied from it
+    function redactStoredEvent(storedEvent, target) {
+        const rules = policy[target];
+        if (!rules.length) {
+            return storedEvent;
+        }
+        const redacted = Object.assign({}, storedEvent, { payload: redact(storedEvent.payload, target) });
+        for (const [field, payloadPath] of Object.entries(SUMMARY_FIELDS)) {
+            const rule = rules.find(r => r.segments.length === 1 && (r.segments[0] === payloadPath || r.segments[0] === '*'));
+            if (rule) {
+                const value = applyAction(storedEvent[field], rule.action);
+                redacted[field] = value === undefined ? null : value;
+            }
+        }
+        return redacted;
+    }
+
+    return {
+        source: loaded.source,
+        redact,
+        redactStoredEvent,
+        hashValue
+    };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    createRedactor,
+    hashIdentifier,
+    validatePolicy,
+    maskValue
+};
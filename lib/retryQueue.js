@@ -0,0 +1,107 @@
+// --- Retry Queue ---
+// Schedules another delivery attempt for an event with exponential backoff.
+// Timers only live in this process; callers re-schedule events that were still
+// waiting to be retried when the process restarted (see resume in index.js).
+
+// Salesforce error codes that are worth retrying
+const TRANSIENT_ERROR_CODES = new Set([
+    'UNABLE_TO_LOCK_ROW',
+    'INVALID_SESSION_ID',
+    'REQUEST_LIMIT_EXCEEDED',
+    'SERVER_UNAVAILABLE',
+    'QUERY_TIMEOUT'
+]);
+
+// Network-level failures (DNS, resets, timeouts)
+const TRANSIENT_NETWORK_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ECONNABORTED',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'EPIPE'
+]);
+
+// Decide whether a failed Salesforce write should be retried. Accepts either a
+// thrown error (axios, jsforce or network) or the `errors` array of an
+// unsuccessful create/upsert result.
+function isTransientFailure(failure) {
+    if (!failure) {
+        return false;
+    }
+
+    if (Array.isArray(failure)) {
+        return failure.some(err => TRANSIENT_ERROR_CODES.has(err.statusCode || err.errorCode));
+    }
+
+    // Auth failures (the token endpoint or an expired session) and 5xx responses
+    const httpStatus = failure.response ? failure.response.status : failure.statusCode;
+    if (httpStatus === 401 || httpStatus === 408 || httpStatus === 429 || httpStatus >= 500) {
+        return true;
+    }
+
+    if (TRANSIENT_ERROR_CODES.has(failure.errorCode) || TRANSIENT_ERROR_CODES.has(failure.name)) {
+        return true;
+    }
+
+    return TRANSIENT_NETWORK_CODES.has(failure.code);
+}
+
+function createRetryQueue({ maxAttempts = 5, baseDelayMs = 2000, maxDelayMs = 5 * 60 * 1000, run }) {
+    const timers = new Map();
+
+    // Exponential backoff with +/-20% jitter so a burst of failures does not retry in lockstep
+    function delayFor(attempt) {
+        const delay = Math.min(baseDelayMs * Math.pow(2, Math.max(attempt - 1, 0)), maxDelayMs);
+        const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+        return Math.round(delay + jitter);
+    }
+
+    return {
+        maxAttempts,
+        delayFor,
+
+        // Schedule the next attempt after `attempt` attempts have failed.
+        // Returns the time of the next attempt as an ISO string.
+        schedule(eventId, attempt, delayMs = delayFor(attempt)) {
+            this.cancel(eventId);
+            const timer = setTimeout(() => {
+                timers.delete(eventId);
+                Promise.resolve(run(eventId)).catch(error => {
+                    console.error(`❌ Retry of event ${eventId} failed unexpectedly:`, error.message);
+                });
+            }, Math.max(delayMs, 0));
+            // Do not keep the process alive just for pending retries
+            if (timer.unref) {
+                timer.unref();
+            }
+            timers.set(eventId, timer);
+            return new Date(Date.now() + Math.max(delayMs, 0)).toISOString();
+        },
+
+        cancel(eventId) {
+            const timer = timers.get(eventId);
+            if (timer) {
+                clearTimeout(timer);
+                timers.delete(eventId);
+            }
+        },
+
+        pending() {
+            return timers.size;
+        },
+
+        stop() {
+            for (const timer of timers.values()) {
+                clearTimeout(timer);
+            }
+            timers.clear();
+        }
+    };
+}
+
+module.exports = {
+    createRetryQueue,
+    isTransientFailure
+};
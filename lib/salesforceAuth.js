@@ -0,0 +1,116 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// --- Salesforce Authentication ---
+// How a tenant's Connected App gets an access token for its org, with either
+// OAuth flow the Connected App can enable:
+//   jwt                 JWT bearer - an assertion for SF_USERNAME signed with PRIVATE_KEY
+//   client_credentials  SF_CONSUMER_KEY and SF_CLIENT_SECRET; the session belongs to
+//                       the Connected App's "Run As" user
+//
+// SF_AUTH_FLOW      jwt | client_credentials (default jwt)
+// SF_LOGIN_URL      where to log in: https://login.salesforce.com, https://test.salesforce.com
+//                   or the org's My Domain URL. The client credentials flow only works on
+//                   My Domain and defaults to SF_INSTANCE_URL. Without it the JWT flow
+//                   guesses from SF_INSTANCE_URL, as earlier versions did.
+// SF_CLIENT_SECRET  Connected App consumer secret (client_credentials)
+
+const AUTH_FLOWS = ['jwt', 'client_credentials'];
+const REQUIRED_SETTINGS = {
+    jwt: ['SF_INSTANCE_URL', 'SF_CONSUMER_KEY', 'SF_USERNAME', 'PRIVATE_KEY'],
+    client_credentials: ['SF_INSTANCE_URL', 'SF_CONSUMER_KEY', 'SF_CLIENT_SECRET']
+};
+
+function trimSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+function authFlowOf(env = process.env) {
+    const flow = (env.SF_AUTH_FLOW || 'jwt').toLowerCase();
+    if (!AUTH_FLOWS.includes(flow)) {
+        throw new Error(`SF_AUTH_FLOW must be one of ${AUTH_FLOWS.join(', ')} (got "${env.SF_AUTH_FLOW}")`);
+    }
+    return flow;
+}
+
+// Throws on an unknown SF_AUTH_FLOW, so a typo does not quietly turn the integration off
+function isSalesforceConfigured(env = process.env) {
+    return REQUIRED_SETTINGS[authFlowOf(env)].every(name => !!env[name]);
+}
+
+// Salesforce refused the access token: revoked, timed out or logged out. jsforce names
+// its errors after the errorCode in the response body, or ERROR_HTTP_401 without one
+function isSessionError(error) {
+    return !!error && (error.errorCode === 'INVALID_SESSION_ID' || error.name === 'INVALID_SESSION_ID' || error.errorCode === 'ERROR_HTTP_401');
+}
+
+function createSalesforceAuth(env = process.env) {
+    const flow = authFlowOf(env);
+    let loginUrl = env.SF_LOGIN_URL || (flow === 'client_credentials' ? env.SF_INSTANCE_URL : null);
+    // Earlier versions picked the JWT audience from the instance URL; still the fallback
+    const loginUrlGuessed = !loginUrl;
+    if (loginUrlGuessed) {
+        const sandbox = env.SF_INSTANCE_URL.includes('sandbox') || env.SF_INSTANCE_URL.includes('test');
+        loginUrl = sandbox ? 'https://test.salesforce.com' : 'https://login.salesforce.com';
+    }
+    // The client secret or signed assertion is sent there, so never over plain HTTP
+    if (!/^https:\/\/[^/]+/.test(loginUrl)) {
+        throw new Error(`SF_LOGIN_URL must be an https:// URL (got "${loginUrl}")`);
+    }
+    loginUrl = trimSlash(loginUrl);
+    const tokenEndpoint = `${loginUrl}/services/oauth2/token`;
+
+    function tokenRequestBody() {
+        const form = new URLSearchParams();
+        if (flow === 'client_credentials') {
+            form.append('grant_type', 'client_credentials');
+            form.append('client_id', env.SF_CONSUMER_KEY);
+            form.append('client_secret', env.SF_CLIENT_SECRET);
+            return form;
+        }
+        // The audience is the login URL: login.salesforce.com, test.salesforce.com or My Domain
+        const assertion = jwt.sign({
+            iss: env.SF_CONSUMER_KEY,
+            sub: env.SF_USERNAME,
+            aud: loginUrl,
+            exp: Math.floor(Date.now() / 1000) + (5 * 60) // Expires in 5 minutes
+        }, env.PRIVATE_KEY.replace(/\\n/g, '\n'), { algorithm: 'RS256' });
+        form.append('grant_type', 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+        form.append('assertion', assertion);
+        return form;
+    }
+
+    return {
+        flow,
+        loginUrl,
+        loginUrlGuessed,
+
+        // Resolves to { accessToken, instanceUrl }. Errors keep the token endpoint's
+        // response and network code, so retries treat them like any other failure
+        async requestToken() {
+            try {
+                const response = await axios.post(tokenEndpoint, tokenRequestBody().toString(), {
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    timeout: 15000
+                });
+                return { accessToken: response.data.access_token, instanceUrl: response.data.instance_url };
+            } catch (error) {
+                const response = error.response;
+                const data = response && response.data;
+                const detail = data && (data.error_description || data.error);
+                const message = response
+                    ? `Salesforce ${flow} login at ${loginUrl} failed (HTTP ${response.status})${detail ? `: ${detail}` : ''}`
+                    : `Salesforce ${flow} login at ${loginUrl} failed: ${error.message}`;
+                throw Object.assign(new Error(message), { response, code: error.code });
+            }
+        }
+    };
+}
+
+module.exports = {
+    AUTH_FLOWS,
+    authFlowOf,
+    isSalesforceConfigured,
+    isSessionError,
+    createSalesforceAuth
+};
@@ -0,0 +1,165 @@
+// --- Batched Salesforce Writes ---
+// Collects record writes for one Salesforce org over a short window, or until
+// a batch is full, and sends them through the sObject Collections API: one
+// POST /composite/sobjects for creates, one PATCH
+// /composite/sobjects/{object}/{externalId} per object for upserts. Batches
+// are sent with allOrNone=false and each record's result is handed back to the
+// write() that queued it, so one bad record fails only its own event. At most
+// `concurrency` requests are in flight at once; full batches wait their turn.
+//
+// SF_BATCH_WINDOW_MS    how long the first record of a batch waits for company (default 200)
+// SF_BATCH_SIZE         records per request, at most 200 (default 200)
+// SF_BATCH_CONCURRENCY  requests in flight per org (default 2)
+
+const MAX_BATCH_SIZE = 200; // sObject Collections limit
+const LATENCY_SAMPLES = 200;
+
+// Nearest-rank percentiles of a list of milliseconds
+function percentiles(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const at = p => (sorted.length ? sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)] : null);
+    return { p50: at(50), p95: at(95), max: sorted.length ? sorted[sorted.length - 1] : null };
+}
+
+// withConnection(fn) runs fn with the org's connection, logging in again if the session was rejected
+function createSalesforceBatchWriter({ withConnection, windowMs = 200, maxBatchSize = MAX_BATCH_SIZE, concurrency = 2 }) {
+    maxBatchSize = Math.min(Math.max(Math.floor(maxBatchSize), 1), MAX_BATCH_SIZE);
+    concurrency = Math.max(Math.floor(concurrency), 1);
+
+    // Open batches by "object|externalId" (externalId empty for creates)
+    const open = new Map();
+    // Batches waiting for a free request slot
+    const ready = [];
+    let inFlight = 0;
+
+    const stats = {
+        batches: 0,
+        records: 0,
+        failedRecords: 0,
+        failedRequests: 0,
+        largestBatch: 0,
+        requestMs: [], // duration of the last batch requests
+        waitMs: [], // time the first record of each batch waited before it was sent
+        lastError: null
+    };
+
+    function sample(list, value) {
+        list.push(value);
+        if (list.length > LATENCY_SAMPLES) {
+            list.shift();
+        }
+    }
+
+    function close(key) {
+        const batch = open.get(key);
+        if (!batch) {
+            return;
+        }
+        open.delete(key);
+        clearTimeout(batch.timer);
+        ready.push(batch);
+        drain();
+    }
+
+    function drain() {
+        while (inFlight < concurrency && ready.length) {
+            const batch = ready.shift();
+            inFlight++;
+            send(batch).finally(() => {
+                inFlight--;
+                drain();
+            });
+        }
+    }
+
+    async function send(batch) {
+        const { object, externalId, items } = batch;
+        const started = Date.now();
+        sample(stats.waitMs, started - batch.openedAt);
+        let results;
+        try {
+            const records = items.map(item => Object.assign({ attributes: { type: object } }, item.record));
+            results = await withConnection(conn => (externalId
+                ? conn.requestPatch(`/composite/sobjects/${object}/${externalId}`, { allOrNone: false, records })
+                : conn.requestPost('/composite/sobjects', { allOrNone: false, records })));
+            if (!Array.isArray(results) || results.length !== items.length) {
+                throw new Error(`Unexpected sObject Collections response for ${items.length} record(s)`);
+            }
+        } catch (error) {
+            // The whole request failed (auth, network, limits) - every record gets the error
+            stats.failedRequests++;
+            stats.lastError = error.message;
+            items.forEach(item => item.reject(error));
+            return;
+        } finally {
+            sample(stats.requestMs, Date.now() - started);
+        }
+
+        stats.batches++;
+        stats.records += items.length;
+        stats.largestBatch = Math.max(stats.largestBatch, items.length);
+        results.forEach((result, i) => {
+            if (!result.success) {
+                stats.failedRecords++;
+            }
+            items[i].resolve({ id: result.id || null, success: !!result.success, errors: result.errors || [] });
+        });
+    }
+
+    return {
+        // Queue one record and resolve with its jsforce-style { id, success, errors } result
+        write({ object, externalId = null, record }) {
+            const key = `${object}|${externalId || ''}`;
+            // An upsert batch must not hold the same external ID twice
+            const existing = open.get(key);
+            if (existing && externalId && existing.items.some(item => item.record[externalId] === record[externalId])) {
+                close(key);
+            }
+            let batch = open.get(key);
+            if (!batch) {
+                batch = { object, externalId, items: [], openedAt: Date.now() };
+                batch.timer = setTimeout(() => close(key), windowMs);
+                open.set(key, batch);
+            }
+            return new Promise((resolve, reject) => {
+                batch.items.push({ record, resolve, reject });
+                if (batch.items.length >= maxBatchSize) {
+                    close(key);
+                }
+            });
+        },
+
+        // Records waiting in open or full batches
+        queued() {
+            let count = 0;
+            for (const batch of open.values()) {
+                count += batch.items.length;
+            }
+            return ready.reduce((total, batch) => total + batch.items.length, count);
+        },
+
+        stats() {
+            return {
+                windowMs,
+                maxBatchSize,
+                concurrency,
+                batches: stats.batches,
+                records: stats.records,
+                averageBatchSize: stats.batches ? Math.round((stats.records / stats.batches) * 10) / 10 : null,
+                largestBatch: stats.largestBatch,
+                failedRecords: stats.failedRecords,
+                failedRequests: stats.failedRequests,
+                queued: this.queued(),
+                inFlight,
+                requestMs: percentiles(stats.requestMs),
+                waitMs: percentiles(stats.waitMs),
+                lastError: stats.lastError
+            };
+        }
+    };
+}
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    createSalesforceBatchWriter
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// --- ENS Signature Verification ---
+// ENS signs each callback body with HMAC-SHA256 using the base64 signature key
+// shown when the callback was registered, and sends the base64 digest in the
+// x-sfmc-ens-signature header. ENS_SIGNATURE_KEY may list several keys
+// separated by commas so the old and new key both verify while a key is rotated.
+//
+// ENS_SIGNATURE_MODE:
+//   strict     - requests that fail verification get 401 and are not processed (default)
+//   permissive - failures are logged and audited, but the events are still processed
+
+const MODES = ['strict', 'permissive'];
+
+function createSignatureVerifier(env = process.env) {
+    const mode = (env.ENS_SIGNATURE_MODE || 'strict').toLowerCase();
+    if (!MODES.includes(mode)) {
+        throw new Error(`ENS_SIGNATURE_MODE must be one of ${MODES.join(', ')} (got "${env.ENS_SIGNATURE_MODE}")`);
+    }
+
+    const keys = (env.ENS_SIGNATURE_KEY || '')
+        .split(',')
+        .map(key => key.trim())
+        .filter(Boolean)
+        .map(key => Buffer.from(key, 'base64'));
+    if (keys.some(key => !key.length)) {
+        throw new Error('ENS_SIGNATURE_KEY contains a key that is not valid base64');
+    }
+
+    return {
+        mode,
+        keyCount: keys.length,
+
+        // Returns { valid: true, keyIndex } or { valid: false, reason }
+        verify(rawBody, signature) {
+            if (!keys.length) {
+                return { valid: false, reason: 'no_key_configured' };
+            }
+            if (!signature) {
+                return { valid: false, reason: 'missing_signature' };
+            }
+            const given = Buffer.from(signature, 'base64');
+            const body = rawBody || Buffer.alloc(0);
+            // Check every key so the response time does not reveal which one matched
+            let keyIndex = -1;
+            keys.forEach((key, i) => {
+                const expected = crypto.createHmac('sha256', key).update(body).digest();
+                if (given.length === expected.length && crypto.timingSafeEqual(given, expected) && keyIndex === -1) {
+                    keyIndex = i;
+                }
+            });
+            return keyIndex === -1 ? { valid: false, reason: 'invalid_signature' } : { valid: true, keyIndex };
+        }
+    };
+}
+
+// --- Rejected Request Audit ---
+// The most recent signature failures, newest first, for the dashboard
+function createRejectionLog({ maxEntries = 200 } = {}) {
+    const entries = [];
+    let total = 0;
+    const totalsByTenant = new Map();
+
+    return {
+        record(entry) {
+            const recorded = Object.assign({ id: crypto.randomUUID(), at: new Date().toISOString() }, entry);
+            entries.unshift(recorded);
+            entries.length = Math.min(entries.length, maxEntries);
+            total++;
+            if (recorded.tenant) {
+                totalsByTenant.set(recorded.tenant, (totalsByTenant.get(recorded.tenant) || 0) + 1);
+            }
+            return recorded;
+        },
+        list() {
+            return entries.slice();
+        },
+        // Failures since startup, including ones no longer in the list; optionally for one tenant
+        total(tenant) {
+            return tenant ? totalsByTenant.get(tenant) || 0 : total;
+        }
+    };
+}
+
+module.exports = {
+    createSignatureVerifier,
+    createRejectionLog
+};
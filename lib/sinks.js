@@ -0,0 +1,396 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { expandEnv } = require('./config');
+const { validateMapping, resolveField } = require('./fieldMapping');
+const { isLifecycleEvent, buildLifecycleFields, createKeyedLock } = require('./lifecycle');
+
+// --- Output Sinks ---
+// Every processed event is delivered to each configured sink whose filter
+// accepts it, and each sink keeps its own delivery status, retries and
+// dead-letter state on the stored event. Loaded from SINKS_FILE (JSON or YAML)
+// or inline SINKS JSON, keyed by sink name; see sinks.example.json. Without
+// either, the only sink is the Salesforce record writer, as before sinks existed.
+//
+// Sink types:
+//   salesforce      create/upsert records in the tenant's org using its field
+//                   mapping (and lifecycle sync); accepts mapped event types only
+//   platform_event  publish a Salesforce Platform Event (`event`, an API name
+//                   ending in __e) with `fields` given as field mapping specs
+//   http            POST a JSON envelope to `url`; with `secret`, the body is
+//                   signed like ENS does (base64 HMAC-SHA256 in x-ens-monitor-signature).
+//                   Optional `headers` and `timeoutMs`
+//   file            append the JSON envelope as one line to the NDJSON file `path`
+//
+// Every sink takes an optional `eventTypes` list (default: every event type the
+// sink can handle) and `label` for the dashboard. "${NAME}" in sink settings is
+// replaced with the NAME environment variable. Salesforce and Platform Event
+// sinks write with the tenant's connection and skip tenants without Salesforce;
+// http and file sinks receive the event as redacted for the "sinks" target.
+
+const SINK_TYPES = ['salesforce', 'platform_event', 'http', 'file'];
+const SINK_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const PLATFORM_EVENT_NAME = /^[A-Za-z][A-Za-z0-9_]*__e$/;
+const COMMON_SETTINGS = ['type', 'label', 'eventTypes'];
+const TYPE_SETTINGS = {
+    salesforce: [],
+    platform_event: ['event', 'fields'],
+    http: ['url', 'secret', 'headers', 'timeoutMs'],
+    file: ['path']
+};
+const SIGNATURE_HEADER = 'x-ens-monitor-signature';
+const INBOUND_EVENT_TYPE = 'EngagementEvents.OttMobileOriginated';
+
+// Published when a platform_event sink does not list its own fields
+const DEFAULT_PLATFORM_EVENT_FIELDS = {
+    Event_Type__c: 'eventCategoryType',
+    Message_ID__c: { path: ['messageId', 'messageKey'] },
+    Mobile_Number__c: 'mobileNumber',
+    Payload__c: { path: '$', transform: 'json', maxLength: 131072 }
+};
+
+// The single sink used when no sink configuration is given
+const DEFAULT_SINKS = { sinks: { salesforce: { type: 'salesforce' } } };
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Collects every problem in the sink configuration so they can be reported together
+function validateSinkConfig(config) {
+    const errors = [];
+    if (!isObject(config) || !isObject(config.sinks) || !Object.keys(config.sinks).length) {
+        return ['sink configuration must be an object with "sinks" keyed by sink name'];
+    }
+    for (const [name, sink] of Object.entries(config.sinks)) {
+        const where = `sinks["${name}"]`;
+        if (!SINK_NAME.test(name)) {
+            errors.push(`${where}: sink names must be up to 40 lowercase letters, digits, "-" or "_"`);
+        }
+        if (!isObject(sink) || !SINK_TYPES.includes(sink.type)) {
+            errors.push(`${where}.type must be one of ${SINK_TYPES.join(', ')}`);
+            continue;
+        }
+        const unknown = Object.keys(sink).filter(key => !COMMON_SETTINGS.includes(key) && !TYPE_SETTINGS[sink.type].includes(key));
+        if (unknown.length) {
+            errors.push(`${where} has unknown option(s) for a ${sink.type} sink: ${unknown.join(', ')}`);
+        }
+        if (sink.label !== undefined && (typeof sink.label !== 'string' || !sink.label)) {
+            errors.push(`${where}.label must be a non-empty string`);
+        }
+        if (sink.eventTypes !== undefined &&
+            !(Array.isArray(sink.eventTypes) && sink.eventTypes.length && sink.eventTypes.every(type => typeof type === 'string' && type))) {
+            errors.push(`${where}.eventTypes must be a non-empty list of eventCategoryTypes`);
+        }
+        if (sink.type === 'platform_event') {
+            if (typeof sink.event !== 'string' || !PLATFORM_EVENT_NAME.test(sink.event)) {
+                errors.push(`${where}.event must be a Platform Event API name ending in __e`);
+            } else if (sink.fields !== undefined) {
+                // Same field specs as the Salesforce field mapping
+                const fieldErrors = validateMapping({ events: { sink: { object: sink.event, fields: sink.fields } } });
+                errors.push(...fieldErrors.map(error => error.replace('events["sink"]', where)));
+            }
+        }
+        if (sink.type === 'http') {
+            if (typeof sink.url !== 'string' || !/^https?:\/\//.test(sink.url)) {
+                errors.push(`${where}.url must be an http(s) URL`);
+            }
+            if (sink.secret !== undefined && (typeof sink.secret !== 'string' || !sink.secret)) {
+                errors.push(`${where}.secret must be a non-empty string`);
+            }
+            if (sink.headers !== undefined && (!isObject(sink.headers) || Object.values(sink.headers).some(value => typeof value !== 'string'))) {
+                errors.push(`${where}.headers must map header names to strings`);
+            }
+            if (sink.timeoutMs !== undefined && !(Number.isInteger(sink.timeoutMs) && sink.timeoutMs > 0)) {
+                errors.push(`${where}.timeoutMs must be a positive integer`);
+            }
+        }
+        if (sink.type === 'file' && (typeof sink.path !== 'string' || !sink.path)) {
+            errors.push(`${where}.path must be a file path`);
+        }
+    }
+    return errors;
+}
+
+function loadSinkConfig(env) {
+    if (env.SINKS_FILE) {
+        const contents = fs.readFileSync(env.SINKS_FILE, 'utf8');
+        const extension = path.extname(env.SINKS_FILE).toLowerCase();
+        return {
+            source: env.SINKS_FILE,
+            config: extension === '.yaml' || extension === '.yml' ? require('js-yaml').load(contents) : JSON.parse(contents)
+        };
+    }
+    if (env.SINKS) {
+        return { source: 'SINKS', config: JSON.parse(env.SINKS) };
+    }
+    return { source: 'built-in default', config: DEFAULT_SINKS };
+}
+
+// What http and file sinks receive for each event
+function buildEnvelope(storedEvent, event) {
+    return {
+        eventId: storedEvent.eventId,
+        tenant: storedEvent.tenant,
+        eventType: storedEvent.eventType,
+        timestamp: storedEvent.timestamp,
+        receivedAt: storedEvent.storedAt,
+        event
+    };
+}
+
+// --- Sink Types ---
+// Each returns { name, type, label, eventTypes, salesforce, accepts(tenant, eventType), deliver(delivery) }.
+// Salesforce sinks write through the tenant's sfBatchWriter, except lifecycle
+// updates, which read the current record first and so go one at a time.
+// deliver() resolves with a jsforce-style { success, id, errors } result and
+// throws for errors that never reached the destination. A result may carry
+// `details`, extra fields saved on the stored event.
+// delivery = { tenant, storedEvent, conn, redactor, customerResolver }
+
+function salesforceSink(name, settings) {
+    // Lifecycle events for the same message are written one at a time
+    const withMessageLock = createKeyedLock();
+
+    return {
+        defaultLabel: 'Salesforce',
+        salesforce: true,
+
+        handles(tenant, eventType) {
+            return tenant.fieldMapping.has(eventType) || (tenant.lifecycleSyncEnabled && isLifecycleEvent(eventType));
+        },
+
+        // Write one event to the tenant's Salesforce org and return the jsforce save result
+        async deliver({ tenant, storedEvent, conn, redactor, customerResolver }) {
+            const event = storedEvent.payload;
+            const messageId = event.messageId || event.messageKey || 'N/A';
+            // Field values (including Raw_Payload__c) come from the event as redacted for Salesforce
+            let sfEvent = redactor.redact(event, 'salesforce');
+            // Inbound messages are matched to their customer on the unredacted number, and the
+            // result is offered to the mapping as customer.* (see lib/customerResolution.js)
+            const customer = customerResolver && event.eventCategoryType === INBOUND_EVENT_TYPE
+                ? await customerResolver.resolve(conn, tenant.id, event)
+                : null;
+            if (customer) {
+                sfEvent = Object.assign({}, sfEvent, { customer });
+            }
+            const mapped = tenant.fieldMapping.resolve(sfEvent);
+
+            if (tenant.lifecycleSyncEnabled && isLifecycleEvent(event.eventCategoryType)) {
+                // Outbound status update - mapped fields plus status/timestamps, never moving the status backwards
+                if (messageId === 'N/A') {
+                    throw new Error('Lifecycle event has no messageId or messageKey to find its interaction record by');
+                }
+                const objectName = mapped ? mapped.object : 'WhatsApp_Interaction__c';
+                const externalId = (mapped && mapped.externalId) || 'Message_ID__c';
+                const sobject = conn.sobject(objectName);
+                return withMessageLock(`${tenant.id}|${messageId}`, async () => {
+                    const existing = await sobject.findOne({ [externalId]: messageId }, ['Id', 'Status__c']);
+                    const fields = buildLifecycleFields(sfEvent, existing ? existing.Status__c : null, storedEvent.timestamp);
+                    const record = Object.assign({}, mapped && mapped.record, { [externalId]: messageId }, fields);
+                    return sobject.upsert(record, externalId);
+                });
+            }
+
+            // Upsert on the external ID (Message_ID__c by default) so a repeated write never creates a second record;
+            // an event without one is created (see fieldMapping.resolve).
+            // Sent in a batch with other events' records; see lib/salesforceBatch.js
+            const result = await tenant.sfBatchWriter.write({ object: mapped.object, externalId: mapped.externalId, record: mapped.record });
+            return customer ? Object.assign({}, result, { details: { customer } }) : result;
+        }
+    };
+}
+
+function platformEventSink(name, settings) {
+    const fields = settings.fields || DEFAULT_PLATFORM_EVENT_FIELDS;
+
+    return {
+        defaultLabel: `Platform Event ${settings.event}`,
+        salesforce: true,
+
+        handles() {
+            return true;
+        },
+
+        // Publishing is an insert on the __e object, batched like record creates; the result id is the publish ID
+        deliver({ tenant, storedEvent, redactor }) {
+            const sfEvent = redactor.redact(storedEvent.payload, 'salesforce');
+            const record = {};
+            for (const [field, spec] of Object.entries(fields)) {
+                record[field] = resolveField(sfEvent, spec);
+            }
+            return tenant.sfBatchWriter.write({ object: settings.event, record });
+        }
+    };
+}
+
+function httpSink(name, settings) {
+    return {
+        defaultLabel: `HTTP ${name}`,
+        salesforce: false,
+
+        handles() {
+            return true;
+        },
+
+        async deliver({ storedEvent, redactor }) {
+            const body = JSON.stringify(buildEnvelope(storedEvent, redactor.redact(storedEvent.payload, 'sinks')));
+            const headers = Object.assign({ 'Content-Type': 'application/json' }, settings.headers);
+            if (settings.secret) {
+                headers[SIGNATURE_HEADER] = crypto.createHmac('sha256', settings.secret).update(body).digest('base64');
+            }
+            // Non-2xx responses throw; 5xx, 408, 429 and network errors are retried
+            await axios.post(settings.url, body, { headers, timeout: settings.timeoutMs || 10000 });
+            return { success: true, id: null };
+        }
+    };
+}
+
+function fileSink(name, settings) {
+    return {
+        defaultLabel: `File ${path.basename(settings.path)}`,
+        salesforce: false,
+
+        handles() {
+            return true;
+        },
+
+        // One line per delivery; a replayed event is appended again with the same eventId
+        async deliver({ storedEvent, redactor }) {
+            const line = JSON.stringify(buildEnvelope(storedEvent, redactor.redact(storedEvent.payload, 'sinks')));
+            await fs.promises.appendFile(settings.path, `${line}\n`);
+            return { success: true, id: null };
+        }
+    };
+}
+
+const SINK_FACTORIES = {
+    salesforce: salesforceSink,
+    platform_event: platformEventSink,
+    http: httpSink,
+    file: fileSink
+};
+
+function createSink(name, settings) {
+    const sink = SINK_FACTORIES[settings.type](name, settings);
+    const eventTypes = settings.eventTypes || null;
+    return {
+        name,
+        type: settings.type,
+        label: settings.label || sink.defaultLabel,
+        eventTypes,
+        // Salesforce sinks need the tenant's connection, passed to deliver() as `conn`
+        salesforce: sink.salesforce,
+        accepts(tenant, eventType) {
+            if (sink.salesforce && !tenant.salesforceEnabled) {
+                return false;
+            }
+            return (!eventTypes || eventTypes.includes(eventType)) && sink.handles(tenant, eventType);
+        },
+        deliver: sink.deliver
+    };
+}
+
+// Returns { source, sinks: [sink] } in configuration order
+function loadSinks(env = process.env) {
+    let loaded;
+    try {
+        loaded = loadSinkConfig(env);
+    } catch (error) {
+        throw new Error(`Could not read sink configuration: ${error.message}`);
+    }
+    const config = expandEnv(loaded.config, env);
+    const errors = validateSinkConfig(config);
+    if (errors.length) {
+        throw new Error(`Invalid sink configuration (${loaded.source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    return {
+        source: loaded.source,
+        sinks: Object.entries(config.sinks).map(([name, settings]) => createSink(name, settings))
+    };
+}
+
+// --- Per-Sink Delivery State ---
+// storedEvent.sinks maps sink name to { type, status, attempts, lastError, nextRetryAt, deliveredAt, recordId }
+// with status pending | retrying | delivered | failed | error. The event's own
+// status, attempts, lastError, nextRetryAt and deadLetter summarise them.
+
+const IN_FLIGHT = ['pending', 'retrying'];
+
+function initialSinkStates(sinks) {
+    const states = {};
+    for (const sink of sinks) {
+        states[sink.name] = { type: sink.type, status: 'pending', attempts: 0 };
+    }
+    return states;
+}
+
+// Events stored before sinks existed only went to Salesforce; their event-level
+// fields become the state of the "salesforce" sink
+function sinkStatesOf(storedEvent) {
+    if (storedEvent.sinks) {
+        return storedEvent.sinks;
+    }
+    const legacyStatus = {
+        processing: 'pending',
+        retrying: 'retrying',
+        sent_to_salesforce: 'delivered',
+        failed: 'failed',
+        error: 'error'
+    }[storedEvent.status];
+    if (!legacyStatus || (legacyStatus === 'error' && !storedEvent.deadLetter)) {
+        return {};
+    }
+    return {
+        salesforce: {
+            type: 'salesforce',
+            status: legacyStatus,
+            attempts: storedEvent.attempts || 0,
+            lastError: storedEvent.lastError || null,
+            nextRetryAt: storedEvent.nextRetryAt || null,
+            recordId: storedEvent.salesforceId || null
+        }
+    };
+}
+
+// The event-level fields for a set of sink states
+function summarizeSinkStates(states) {
+    const entries = Object.entries(states);
+    const inFlight = entries.filter(([, state]) => IN_FLIGHT.includes(state.status));
+    const failed = entries.filter(([, state]) => state.status === 'failed' || state.status === 'error');
+    const problems = entries.filter(([, state]) => state.status !== 'delivered' && state.lastError);
+
+    let status;
+    if (inFlight.length) {
+        status = inFlight.some(([, state]) => state.status === 'retrying') ? 'retrying' : 'processing';
+    } else if (failed.length) {
+        status = failed.some(([, state]) => state.status === 'failed') ? 'failed' : 'error';
+    } else {
+        // Every sink delivered; the long-standing status is kept whenever Salesforce was written to
+        status = entries.some(([, state]) => state.type === 'salesforce' || state.type === 'platform_event') ? 'sent_to_salesforce' : 'delivered';
+    }
+
+    const retryTimes = inFlight.map(([, state]) => state.nextRetryAt).filter(Boolean).sort();
+    return {
+        status,
+        attempts: Math.max(0, ...entries.map(([, state]) => state.attempts || 0)),
+        // Name the sink when there is more than one, so the dashboard shows where it failed
+        lastError: problems.length
+            ? problems.map(([name, state]) => (entries.length > 1 ? `${name}: ${state.lastError}` : state.lastError)).join('; ')
+            : null,
+        nextRetryAt: retryTimes[0] || null,
+        // On the dead-letter list once nothing is in flight any more
+        deadLetter: !inFlight.length && failed.length > 0
+    };
+}
+
+module.exports = {
+    SINK_TYPES,
+    SIGNATURE_HEADER,
+    loadSinks,
+    validateSinkConfig,
+    initialSinkStates,
+    sinkStatesOf,
+    summarizeSinkStates
+};
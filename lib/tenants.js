@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { expandEnv } = require('./config');
+const { AUTH_FLOWS } = require('./salesforceAuth');
+
+// --- Tenants ---
+// One deployment can serve several Marketing Cloud business units, each with
+// its own ENS signature key(s), Salesforce org and field mapping. The flat
+// environment variables (ENS_SIGNATURE_KEY, SF_INSTANCE_URL, SF_CONSUMER_KEY,
+// SF_USERNAME, PRIVATE_KEY, SF_MAPPING_FILE, MC_*) are the "default" tenant,
+// served on /ens/callback. Further tenants are loaded from TENANTS_FILE (JSON
+// or YAML) or inline TENANTS JSON and served on /ens/callback/:tenant; see
+// tenants.example.json.
+//
+// Tenant settings (all optional):
+//   name              label for the dashboard tenant switcher (default: the tenant ID)
+//   ensSignatureKey   base64 key, or several (a list or comma-separated) while rotating
+//   ensSignatureMode  strict | permissive (default: ENS_SIGNATURE_MODE)
+//   salesforce        { instanceUrl, consumerKey, username, privateKey, loginUrl, syncLifecycle },
+//                     or with authFlow: "client_credentials", clientSecret instead of username and privateKey
+//   mappingFile       Salesforce field mapping (default: built-in inbound mapping)
+//   marketingCloud    { authBaseUrl, restBaseUrl, clientId, clientSecret, accountId }
+//
+// "${NAME}" in tenant settings is replaced with the NAME environment variable,
+// so keys and secrets can stay out of the file. Tenants do not inherit the
+// default tenant's Salesforce or Marketing Cloud credentials.
+//
+// Each tenant is returned with an `env` object holding its settings under the
+// flat variable names, so the same code configures every tenant.
+
+const DEFAULT_TENANT = 'default';
+const TENANT_ID = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const SIGNATURE_MODES = ['strict', 'permissive'];
+
+const SALESFORCE_SETTINGS = {
+    instanceUrl: 'SF_INSTANCE_URL',
+    consumerKey: 'SF_CONSUMER_KEY',
+    username: 'SF_USERNAME',
+    privateKey: 'PRIVATE_KEY',
+    authFlow: 'SF_AUTH_FLOW',
+    loginUrl: 'SF_LOGIN_URL',
+    clientSecret: 'SF_CLIENT_SECRET'
+};
+// Per Salesforce auth flow; see lib/salesforceAuth.js
+const REQUIRED_SALESFORCE_SETTINGS = {
+    jwt: ['instanceUrl', 'consumerKey', 'username', 'privateKey'],
+    client_credentials: ['instanceUrl', 'consumerKey', 'clientSecret']
+};
+const MARKETING_CLOUD_SETTINGS = {
+    authBaseUrl: 'MC_AUTH_BASE_URL',
+    restBaseUrl: 'MC_REST_BASE_URL',
+    clientId: 'MC_CLIENT_ID',
+    clientSecret: 'MC_CLIENT_SECRET',
+    accountId: 'MC_ACCOUNT_ID'
+};
+const REQUIRED_MARKETING_CLOUD_SETTINGS = ['authBaseUrl', 'clientId', 'clientSecret'];
+
+// Stored events from before tenants existed belong to the default tenant
+function tenantOf(storedEvent) {
+    return storedEvent.tenant || DEFAULT_TENANT;
+}
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function signatureKeys(value) {
+    return Array.isArray(value) ? value.join(',') : value;
+}
+
+// Validates the config after "${NAME}" expansion, so unset variables are reported
+function validateTenantConfig(config) {
+    const errors = [];
+    if (!isObject(config) || !isObject(config.tenants)) {
+        return ['tenant configuration must be an object with "tenants" keyed by tenant ID'];
+    }
+    for (const [id, tenant] of Object.entries(config.tenants)) {
+        const where = `tenants["${id}"]`;
+        if (id === DEFAULT_TENANT) {
+            errors.push(`${where}: "${DEFAULT_TENANT}" is the tenant configured by the flat environment variables`);
+            continue;
+        }
+        if (!TENANT_ID.test(id)) {
+            errors.push(`${where}: tenant IDs are used in URLs and must be up to 40 lowercase letters, digits, "-" or "_"`);
+        }
+        if (!isObject(tenant)) {
+            errors.push(`${where} must be an object`);
+            continue;
+        }
+        if (tenant.name !== undefined && (typeof tenant.name !== 'string' || !tenant.name)) {
+            errors.push(`${where}.name must be a non-empty string`);
+        }
+        const keys = tenant.ensSignatureKey;
+        if (keys !== undefined && typeof keys !== 'string' && !(Array.isArray(keys) && keys.every(key => typeof key === 'string'))) {
+            errors.push(`${where}.ensSignatureKey must be a string or a list of strings`);
+        }
+        if (tenant.ensSignatureMode !== undefined && !SIGNATURE_MODES.includes(tenant.ensSignatureMode)) {
+            errors.push(`${where}.ensSignatureMode must be one of ${SIGNATURE_MODES.join(', ')}`);
+        }
+        if (tenant.mappingFile !== undefined && (typeof tenant.mappingFile !== 'string' || !tenant.mappingFile)) {
+            errors.push(`${where}.mappingFile must be a file path`);
+        }
+        if (tenant.salesforce !== undefined) {
+            if (!isObject(tenant.salesforce)) {
+                errors.push(`${where}.salesforce must be an object`);
+            } else if (tenant.salesforce.authFlow !== undefined && !AUTH_FLOWS.includes(tenant.salesforce.authFlow)) {
+                errors.push(`${where}.salesforce.authFlow must be one of ${AUTH_FLOWS.join(', ')}`);
+            } else {
+                const required = REQUIRED_SALESFORCE_SETTINGS[tenant.salesforce.authFlow || 'jwt'];
+                const missing = required.filter(name => !tenant.salesforce[name]);
+                if (missing.length) {
+                    errors.push(`${where}.salesforce is missing ${missing.join(', ')}`);
+                }
+            }
+        }
+        if (tenant.marketingCloud !== undefined) {
+            if (!isObject(tenant.marketingCloud)) {
+                errors.push(`${where}.marketingCloud must be an object`);
+            } else {
+                const missing = REQUIRED_MARKETING_CLOUD_SETTINGS.filter(name => !tenant.marketingCloud[name]);
+                if (missing.length) {
+                    errors.push(`${where}.marketingCloud is missing ${missing.join(', ')}`);
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+function loadTenantConfig(env) {
+    if (env.TENANTS_FILE) {
+        const contents = fs.readFileSync(env.TENANTS_FILE, 'utf8');
+        const extension = path.extname(env.TENANTS_FILE).toLowerCase();
+        return {
+            source: env.TENANTS_FILE,
+            config: extension === '.yaml' || extension === '.yml' ? require('js-yaml').load(contents) : JSON.parse(contents)
+        };
+    }
+    if (env.TENANTS) {
+        return { source: 'TENANTS', config: JSON.parse(env.TENANTS) };
+    }
+    return null;
+}
+
+// The tenant's settings under the flat environment variable names
+function tenantEnv(tenant, env) {
+    const settings = {
+        ENS_SIGNATURE_KEY: signatureKeys(tenant.ensSignatureKey),
+        ENS_SIGNATURE_MODE: tenant.ensSignatureMode || env.ENS_SIGNATURE_MODE,
+        SF_MAPPING_FILE: tenant.mappingFile,
+        SF_SYNC_LIFECYCLE: tenant.salesforce && String(tenant.salesforce.syncLifecycle === true || tenant.salesforce.syncLifecycle === 'true')
+    };
+    for (const [name, variable] of Object.entries(SALESFORCE_SETTINGS)) {
+        settings[variable] = tenant.salesforce && tenant.salesforce[name];
+    }
+    for (const [name, variable] of Object.entries(MARKETING_CLOUD_SETTINGS)) {
+        settings[variable] = tenant.marketingCloud && tenant.marketingCloud[name];
+    }
+    return settings;
+}
+
+// Returns { source, tenants: [{ id, name, env }] } with the default tenant first
+function loadTenants(env = process.env) {
+    const tenants = [{ id: DEFAULT_TENANT, name: 'Default', env }];
+    let loaded;
+    try {
+        loaded = loadTenantConfig(env);
+    } catch (error) {
+        throw new Error(`Could not read tenant configuration: ${error.message}`);
+    }
+    if (!loaded) {
+        return { source: null, tenants };
+    }
+
+    const config = expandEnv(loaded.config, env);
+    const errors = validateTenantConfig(config);
+    if (errors.length) {
+        throw new Error(`Invalid tenant configuration (${loaded.source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    for (const [id, tenant] of Object.entries(config.tenants)) {
+        tenants.push({ id, name: tenant.name || id, env: tenantEnv(tenant, env) });
+    }
+    return { source: loaded.source, tenants };
+}
+
+module.exports = {
+    DEFAULT_TENANT,
+    tenantOf,
+    loadTenants,
+    validateTenantConfig
+};
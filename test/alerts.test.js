@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertManager } = require('../lib/alerts');
+
+const RULES = {
+    channels: { ops: { type: 'slack', url: '${SLACK_WEBHOOK_URL}' } },
+    rules: [{ name: 'quiet', type: 'no_events', minutes: 30, channels: ['ops'] }]
+};
+
+test('alert rules are checked after environment variables are filled in', () => {
+    assert.throws(
+        () => createAlertManager({ ALERT_RULES: JSON.stringify(RULES) }),
+        /channels\["ops"\]\.url must be an http\(s\) URL/
+    );
+    assert.throws(
+        () => createAlertManager({ ALERT_RULES: JSON.stringify(RULES), SLACK_WEBHOOK_URL: 'hooks.slack.com/services/x' }),
+        /must be an http\(s\) URL/
+    );
+});
+
+test('alert channels use the expanded settings', async () => {
+    const sent = [];
+    const rules = Object.assign({}, RULES, { rules: [{ name: 'login', type: 'salesforce_auth_failure', channels: ['ops'] }] });
+    const manager = createAlertManager(
+        { ALERT_RULES: JSON.stringify(rules), SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/x' },
+        { send: async channel => sent.push(channel) }
+    );
+    manager.recordAuthResult(new Error('invalid_grant'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(sent.map(channel => channel.url), ['https://hooks.slack.com/services/x']);
+});
+
+test('no alert manager without rules', () => {
+    assert.equal(createAlertManager({}), null);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeDataDir, startApp, waitFor } = require('./support/app');
+const { startMockMarketingCloud } = require('./support/mockMarketingCloud');
+
+const SENT = 'EngagementEvents.OttSent';
+const OPERATOR = `Basic ${Buffer.from('operator:operator-pw').toString('base64')}`;
+const VIEWER = `Basic ${Buffer.from('viewer:viewer-pw').toString('base64')}`;
+
+function journalEntries(journalDir) {
+    return fs.existsSync(journalDir) ? fs.readdirSync(journalDir).filter(name => name.endsWith('.json')) : [];
+}
+
+async function listEvents(app, authorization = OPERATOR) {
+    const response = await fetch(`${app.url}/api/events?sort=asc`, { headers: { Authorization: authorization } });
+    assert.equal(response.status, 200);
+    return (await response.json()).events;
+}
+
+test('operator app with basic auth', async t => {
+    const mock = await startMockMarketingCloud();
+    const app = await startApp(Object.assign({
+        AUTH_MODE: 'basic',
+        AUTH_USERS: 'operator:operator-pw:operator,viewer:viewer-pw:viewer',
+        MC_AUTO_VERIFY: 'false',
+        REDACTION_POLICY: JSON.stringify({ api: { journeyName: 'mask', reason: 'drop' } })
+    }, mock.env));
+    t.after(async () => {
+        await app.stop();
+        await mock.close();
+        fs.rmSync(app.dataDir, { recursive: true, force: true });
+    });
+
+    await t.test('an unreadable timestamp does not lose the event or the rest of the payload', async () => {
+        const response = await app.postCallback([
+            { eventCategoryType: SENT, messageKey: 'bad-ts', timestampUTC: 'abc', mobileNumber: '15551230001' },
+            { eventCategoryType: SENT, messageKey: 'good-ts', timestampUTC: 1700000000, mobileNumber: '15551230002' }
+        ]);
+        assert.equal(response.status, 200);
+
+        const events = await waitFor(async () => {
+            const stored = await listEvents(app);
+            return stored.length === 2 && stored;
+        });
+        const byKey = Object.fromEntries(events.map(event => [event.id, event]));
+        assert.ok(!Number.isNaN(Date.parse(byKey['bad-ts'].timestamp)));
+        assert.equal(byKey['good-ts'].timestamp, '2023-11-14T22:13:20.000Z');
+        await waitFor(() => journalEntries(app.journalDir).length === 0);
+    });
+
+    await t.test('a replay sent as a form is refused', async () => {
+        const [event] = await listEvents(app);
+        const replayUrl = `${app.url}/api/events/${encodeURIComponent(event.eventId)}/replay`;
+
+        const form = await fetch(replayUrl, {
+            method: 'POST',
+            headers: { Authorization: OPERATOR, 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: 'x=1'
+        });
+        assert.equal(form.status, 415);
+
+        const plain = await fetch(replayUrl, { method: 'POST', headers: { Authorization: OPERATOR } });
+        assert.equal(plain.status, 415);
+
+        const viewer = await fetch(replayUrl, { method: 'POST', headers: { Authorization: VIEWER, 'Content-Type': 'application/json' }, body: '{}' });
+        assert.equal(viewer.status, 403);
+
+        const unknown = await fetch(`${app.url}/api/events/no-such-event/replay`, {
+            method: 'POST',
+            headers: { Authorization: OPERATOR, 'Content-Type': 'application/json' },
+            body: '{}'
+        });
+        assert.equal(unknown.status, 404);
+    });
+
+    await t.test('conversations and analytics show journeys and failure reasons as redacted', async () => {
+        await app.postCallback([
+            { eventCategoryType: 'EngagementEvents.OttFailed', messageKey: 'failed-1', timestampUTC: Date.now(), mobileNumber: '15551230003', journeyName: 'Secret Journey', reason: 'Secret reason' }
+        ]);
+        await waitFor(async () => (await listEvents(app)).some(event => event.id === 'failed-1'));
+
+        const analytics = await (await fetch(`${app.url}/api/analytics?window=all`, { headers: { Authorization: VIEWER } })).json();
+        assert.deepEqual(analytics.failureReasons.map(reason => reason.reason), ['Unknown']);
+
+        const { conversations } = await (await fetch(`${app.url}/api/conversations`, { headers: { Authorization: VIEWER } })).json();
+        const thread = conversations.find(c => c.mobileNumber.endsWith('0003'));
+        const { conversation } = await (await fetch(`${app.url}/api/conversations/${thread.id}`, { headers: { Authorization: VIEWER } })).json();
+        const shown = JSON.stringify({ analytics, conversation });
+        assert.doesNotMatch(shown, /Secret/);
+        assert.equal(conversation.timeline[0].journeyName, '**********rney');
+    });
+
+    await t.test('ENS admin routes only accept JSON', async () => {
+        const form = await fetch(`${app.url}/api/admin/ens/callbacks`, {
+            method: 'POST',
+            headers: { Authorization: OPERATOR, 'Content-Type': 'text/plain' },
+            body: '{"url":"https://example.com/ens/callback"}'
+        });
+        assert.equal(form.status, 415);
+        assert.equal(mock.callbacks.size, 0);
+
+        const registered = await fetch(`${app.url}/api/admin/ens/callbacks`, {
+            method: 'POST',
+            headers: { Authorization: OPERATOR, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: 'https://example.com/ens/callback' })
+        });
+        assert.equal(registered.status, 200);
+        const [callbackId] = mock.callbacks.keys();
+
+        const deleteUrl = `${app.url}/api/admin/ens/callbacks/${callbackId}`;
+        assert.equal((await fetch(deleteUrl, { method: 'DELETE', headers: { Authorization: OPERATOR } })).status, 415);
+        assert.equal(mock.callbacks.size, 1);
+        assert.equal((await fetch(deleteUrl, { method: 'DELETE', headers: { Authorization: OPERATOR, 'Content-Type': 'application/json' } })).status, 200);
+        assert.equal(mock.callbacks.size, 0);
+    });
+});
+
+test('a malformed session cookie is treated as signed out', async t => {
+    const app = await startApp({ AUTH_MODE: 'session', AUTH_USERS: 'operator:operator-pw:operator', SESSION_SECRET: 'test-session-secret' });
+    t.after(async () => {
+        await app.stop();
+        fs.rmSync(app.dataDir, { recursive: true, force: true });
+    });
+
+    const response = await fetch(`${app.url}/api/events`, { headers: { Cookie: 'ens_session=%E0%A4%A' } });
+    assert.equal(response.status, 401);
+});
+
+test('a journal replay skips events already in the event store', async t => {
+    const dataDir = makeDataDir();
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    // Without deduplication only the event store lookup can tell the events were stored
+    const settings = { EVENT_STORE: 'file', DEDUP_WINDOW_MINUTES: '0' };
+    const id = '00001700000000000-000000-00000000';
+    const entry = {
+        id,
+        tenant: 'default',
+        receivedAt: new Date().toISOString(),
+        attempts: 1,
+        payload: [
+            { eventCategoryType: SENT, messageKey: 'journaled-1', timestampUTC: 1700000000 },
+            { eventCategoryType: SENT, messageKey: 'journaled-2', timestampUTC: 1700000001 }
+        ]
+    };
+    const writeEntry = () => {
+        fs.mkdirSync(path.join(dataDir, 'journal'), { recursive: true });
+        fs.writeFileSync(path.join(dataDir, 'journal', `${id}.json`), JSON.stringify(entry));
+    };
+
+    writeEntry();
+    let app = await startApp(settings, { dataDir });
+    await waitFor(() => journalEntries(app.journalDir).length === 0);
+    const first = await listEvents(app);
+    await app.stop();
+    assert.equal(first.length, 2);
+
+    // As if the process had stopped before the entry was removed
+    writeEntry();
+    app = await startApp(settings, { dataDir });
+    try {
+        await waitFor(() => journalEntries(app.journalDir).length === 0);
+        const second = await listEvents(app);
+        assert.deepEqual(second.map(event => event.eventId), first.map(event => event.eventId));
+        assert.match(app.output(), /journaled-1 was stored before the restart - skipped/);
+    } finally {
+        await app.stop();
+    }
+});
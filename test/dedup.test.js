@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeduplicator } = require('../lib/dedup');
+
+const event = { eventCategoryType: 'EngagementEvents.OttSent', messageKey: 'key-1', timestampUTC: 1700000000 };
+
+test('a second copy of a stored event is a redelivery', () => {
+    const deduplicator = createDeduplicator({ windowMs: 60000 });
+    assert.equal(deduplicator.claim(event), null);
+    deduplicator.confirm(event, 'event-1');
+    assert.equal(deduplicator.claim(Object.assign({}, event)).eventId, 'event-1');
+});
+
+test('a released claim lets a redelivery be processed again', () => {
+    const deduplicator = createDeduplicator({ windowMs: 60000 });
+    assert.equal(deduplicator.claim(event), null);
+    deduplicator.release(event);
+    assert.equal(deduplicator.claim(event), null);
+});
+
+test('a confirmed claim is not released', () => {
+    const deduplicator = createDeduplicator({ windowMs: 60000 });
+    deduplicator.claim(event);
+    deduplicator.confirm(event, 'event-1');
+    deduplicator.release(event);
+    assert.equal(deduplicator.claim(event).eventId, 'event-1');
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvHeader, csvRow } = require('../lib/eventQuery');
+
+function cells(event) {
+    const columns = csvHeader().trim().split(',');
+    const values = csvRow(event).trim().split(',');
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+}
+
+test('CSV cells that a spreadsheet would run as a formula are quoted as text', () => {
+    const row = cells({ eventId: 'e1', journeyName: '=HYPERLINK("http://x")', activityName: '+1', contactKey: '@SUM(A1)', failureReason: '-2' });
+    assert.equal(row.activityName, "'+1");
+    assert.equal(row.contactKey, "'@SUM(A1)");
+    assert.equal(row.failureReason, "'-2");
+    assert.match(csvRow({ journeyName: '=HYPERLINK("http://x")' }), /"'=HYPERLINK\(""http:\/\/x""\)"/);
+});
+
+test('numbers and plain text are exported as they are', () => {
+    const row = cells({ eventId: 'e1', attempts: -1, mobileNumber: '15551234567', status: 'delivered' });
+    assert.equal(row.attempts, '-1');
+    assert.equal(row.mobileNumber, '15551234567');
+    assert.equal(row.status, 'delivered');
+    assert.equal(row.tenant, 'default');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_MAPPING, createFieldMapping } = require('../lib/fieldMapping');
+const { loadSinks } = require('../lib/sinks');
+
+const INBOUND = 'EngagementEvents.OttMobileOriginated';
+
+test('field mapping upserts on the external ID when the event has one', () => {
+    const mapping = createFieldMapping(DEFAULT_MAPPING);
+    const mapped = mapping.resolve({ eventCategoryType: INBOUND, messageKey: 'key-1' });
+    assert.equal(mapped.externalId, 'Message_ID__c');
+    assert.equal(mapped.record.Message_ID__c, 'key-1');
+});
+
+test('field mapping creates a record for an event without a message ID', () => {
+    const mapping = createFieldMapping(DEFAULT_MAPPING);
+    const mapped = mapping.resolve({ eventCategoryType: INBOUND, mobileNumber: '15551234567' });
+    assert.equal(mapped.externalId, null);
+    assert.equal('Message_ID__c' in mapped.record, false);
+});
+
+test('a default on the external ID field is not used to upsert', () => {
+    const mapping = createFieldMapping({
+        events: {
+            [INBOUND]: {
+                object: 'WhatsApp_Interaction__c',
+                externalId: 'Message_ID__c',
+                fields: {
+                    Message_ID__c: { path: ['messageId', 'messageKey'], default: 'N/A' },
+                    Send_Method__c: { path: 'sendMethod', default: 'N/A' }
+                }
+            }
+        }
+    });
+    const mapped = mapping.resolve({ eventCategoryType: INBOUND });
+    assert.equal(mapped.externalId, null);
+    assert.deepEqual(mapped.record, { Send_Method__c: 'N/A' });
+});
+
+// --- Salesforce Sink ---
+
+function deliverTo(tenantSettings, payload) {
+    const [sink] = loadSinks({}).sinks;
+    const writes = [];
+    const tenant = Object.assign({
+        id: 'default',
+        fieldMapping: createFieldMapping(DEFAULT_MAPPING),
+        lifecycleSyncEnabled: false,
+        sfBatchWriter: {
+            async write(item) {
+                writes.push(item);
+                return { success: true, id: 'a01000000000001', errors: [] };
+            }
+        }
+    }, tenantSettings);
+    const conn = {
+        sobject() {
+            throw new Error('no direct Salesforce call expected');
+        }
+    };
+    const result = sink.deliver({ tenant, storedEvent: { payload }, conn, redactor: { redact: event => event }, customerResolver: null });
+    return { result, writes };
+}
+
+test('the salesforce sink creates inbound messages without a message ID', async () => {
+    const first = deliverTo({}, { eventCategoryType: INBOUND, mobileNumber: '15551234567' });
+    const second = deliverTo({}, { eventCategoryType: INBOUND, mobileNumber: '15557654321' });
+    await Promise.all([first.result, second.result]);
+    for (const { writes } of [first, second]) {
+        assert.equal(writes.length, 1);
+        assert.equal(writes[0].externalId, null);
+        assert.equal(writes[0].record.Message_ID__c, undefined);
+    }
+});
+
+test('a lifecycle update without a message ID fails instead of writing to an N/A record', async () => {
+    const { result, writes } = deliverTo({ lifecycleSyncEnabled: true }, { eventCategoryType: 'EngagementEvents.OttSent' });
+    await assert.rejects(result, /no messageId or messageKey/);
+    assert.equal(writes.length, 0);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIntakeJournal } = require('../lib/intakeJournal');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ens-journal-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('entries left unfinished are returned on the next start', async t => {
+    const dir = tempDir(t);
+    const journal = createIntakeJournal({ dir });
+    await journal.init();
+    const done = await journal.record('default', [{ messageKey: 'done' }]);
+    await journal.record('default', [{ messageKey: 'left' }]);
+    await journal.complete(done);
+
+    const entries = await createIntakeJournal({ dir }).init();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].payload[0].messageKey, 'left');
+    assert.equal(entries[0].attempts, 1);
+});
+
+test('every replay is counted on disk and an entry is quarantined after maxAttempts', async t => {
+    const dir = tempDir(t);
+    await createIntakeJournal({ dir }).record('default', [{ messageKey: 'poison' }]);
+
+    // The first attempt was the live one; two more starts use up maxAttempts = 3
+    for (const expected of [2, 3]) {
+        const journal = createIntakeJournal({ dir, maxAttempts: 3 });
+        const [entry] = await journal.init();
+        assert.equal(await journal.attempt(entry), true);
+        assert.equal(entry.attempts, expected);
+    }
+
+    const journal = createIntakeJournal({ dir, maxAttempts: 3 });
+    const [entry] = await journal.init();
+    assert.equal(entry.attempts, 3);
+    assert.equal(await journal.attempt(entry), false);
+    assert.equal(journal.pending(), 0);
+    assert.equal(journal.stats().quarantined, 1);
+    assert.deepEqual(fs.readdirSync(journal.quarantineDir), [`${entry.id}.json`]);
+
+    // Quarantined entries are not replayed, but still counted
+    const restarted = createIntakeJournal({ dir, maxAttempts: 3 });
+    assert.deepEqual(await restarted.init(), []);
+    assert.equal(restarted.stats().quarantined, 1);
+});
+
+test('entries written before attempts were counted have had one', async t => {
+    const dir = tempDir(t);
+    const id = '00001700000000000-000000-00000000';
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({ id, tenant: 'default', receivedAt: new Date().toISOString(), payload: {} }));
+
+    const journal = createIntakeJournal({ dir, maxAttempts: 2 });
+    const [entry] = await journal.init();
+    assert.equal(await journal.attempt(entry), true);
+    assert.equal(entry.attempts, 2);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { OTT_EVENT_TYPES, createMarketingCloudClient } = require('../lib/marketingCloud');
+const { startMockMarketingCloud } = require('./support/mockMarketingCloud');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ens-admin.js');
+
+// Runs the admin CLI outside the repository, so a local .env is not picked up
+function runCli(args, env) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { cwd: os.tmpdir(), env: Object.assign({ PATH: process.env.PATH }, env), timeout: 30000 },
+            (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+}
+
+test('Marketing Cloud client', async t => {
+    const mock = await startMockMarketingCloud();
+    t.after(() => mock.close());
+
+    await t.test('is not created without credentials', () => {
+        assert.throws(() => createMarketingCloudClient({}), { statusCode: 409 });
+    });
+
+    await t.test('takes the REST base URL from the token response and reuses the token', async () => {
+        const mc = createMarketingCloudClient(mock.env);
+        const token = await mc.getToken();
+        assert.equal(token.restBaseUrl, mock.url);
+        await mc.listCallbacks();
+        await mc.listCallbacks();
+        assert.equal(mock.requests.filter(r => r.path === '/v2/token').length, 1);
+    });
+
+    await t.test('reports rejected credentials as a failed authentication', async () => {
+        const mc = createMarketingCloudClient(Object.assign({}, mock.env, { MC_CLIENT_SECRET: 'wrong' }));
+        await assert.rejects(mc.getToken(), { statusCode: 502, upstreamStatus: 401, message: /authentication failed \(HTTP 401\)/ });
+    });
+
+    await t.test('registers, verifies and deletes a callback', async () => {
+        const mc = createMarketingCloudClient(mock.env);
+        const callback = await mc.registerCallback({ name: 'Monitor', url: 'https://example.com/ens/callback' });
+        assert.ok(callback.signatureKey);
+        assert.equal(mock.callbacks.get(callback.callbackId).maxBatchSize, 1000);
+
+        await assert.rejects(mc.verifyCallback(callback.callbackId, 'not-the-key'), { statusCode: 502, upstreamStatus: 400 });
+        await mc.verifyCallback(callback.callbackId, mock.callbacks.get(callback.callbackId).verificationKey);
+        assert.equal(mock.callbacks.get(callback.callbackId).status, 'verified');
+
+        await mc.deleteCallback(callback.callbackId);
+        await assert.rejects(mc.deleteCallback(callback.callbackId), { statusCode: 404 });
+    });
+
+    await t.test('subscribes to every OTT event type by default, pauses and deletes', async () => {
+        const mc = createMarketingCloudClient(mock.env);
+        const subscription = await mc.createSubscription({ name: 'all-ott', callbackId: 'cb-1' });
+        assert.deepEqual(subscription.eventCategoryTypes, OTT_EVENT_TYPES);
+        assert.equal((await mc.listSubscriptions('cb-1')).length, 1);
+
+        assert.equal((await mc.setSubscriptionStatus('all-ott', 'paused')).status, 'paused');
+        await mc.deleteSubscription('all-ott');
+        assert.deepEqual(await mc.listSubscriptions('cb-1'), []);
+    });
+});
+
+test('ens-admin CLI', async t => {
+    const mock = await startMockMarketingCloud();
+    t.after(() => mock.close());
+
+    await t.test('--help is a flag and prints the usage wherever it is', async () => {
+        const { code, stdout } = await runCli(['callbacks', 'list', '--help'], mock.env);
+        assert.equal(code, 0);
+        assert.match(stdout, /^Usage: npm run ens/);
+        assert.equal(mock.requests.length, 0);
+    });
+
+    await t.test('registers a callback and points to the verification-key endpoint', async () => {
+        const { code, stdout } = await runCli(['callbacks', 'register', '--url', 'https://example.com/ens/callback'], mock.env);
+        assert.equal(code, 0);
+        assert.equal(mock.callbacks.size, 1);
+        const [callback] = mock.callbacks.values();
+        assert.match(stdout, new RegExp(`Registered callback ${callback.callbackId}`));
+        assert.match(stdout, /GET \/api\/admin\/ens\/verification-key/);
+        assert.doesNotMatch(stdout, /from the logs/);
+    });
+
+    await t.test('subscriptions create subscribes a callback to the given types', async () => {
+        const { code } = await runCli(['subscriptions', 'create', 'cb-2', '--name', 'sent-only', '--types', 'EngagementEvents.OttSent'], mock.env);
+        assert.equal(code, 0);
+        assert.deepEqual(mock.subscriptions.get('sent-only').eventCategoryTypes, ['EngagementEvents.OttSent']);
+    });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEventStore } = require('../lib/eventStore');
+const { createOptOutStore } = require('../lib/optOutStore');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ens-store-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Quiet the store's own error log for writes that are meant to fail
+function silenceErrors(t) {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+}
+
+// Makes the next write fail by putting a directory where the file is
+function breakFile(filePath) {
+    fs.rmSync(filePath, { force: true });
+    fs.mkdirSync(filePath);
+}
+
+function storedEvent(eventId, changes = {}) {
+    return Object.assign({ eventId, tenant: 'default', storedAt: new Date().toISOString(), eventType: 'EngagementEvents.OttSent', status: 'processing', payload: {} }, changes);
+}
+
+test('postgres stores need DATABASE_URL', () => {
+    assert.throws(() => createEventStore({ EVENT_STORE: 'postgres' }), /requires DATABASE_URL/);
+    assert.throws(() => createOptOutStore({ EVENT_STORE: 'postgres' }), /requires DATABASE_URL/);
+});
+
+test('file event store keeps events across restarts', async t => {
+    silenceErrors(t);
+    const filePath = path.join(tempDir(t), 'events.ndjson');
+    const env = { EVENT_STORE: 'file', EVENT_STORE_FILE: filePath };
+
+    const store = createEventStore(env);
+    await store.init();
+    await store.add(storedEvent('a'));
+    await store.update('a', { status: 'delivered' });
+    await store.close();
+
+    const reloaded = createEventStore(env);
+    await reloaded.init();
+    assert.equal((await reloaded.get('a')).status, 'delivered');
+});
+
+test('file event store changes nothing in memory when the write fails', async t => {
+    silenceErrors(t);
+    const filePath = path.join(tempDir(t), 'events.ndjson');
+    const store = createEventStore({ EVENT_STORE: 'file', EVENT_STORE_FILE: filePath });
+    await store.init();
+    await store.add(storedEvent('a'));
+
+    breakFile(filePath);
+    await assert.rejects(store.add(storedEvent('b')), { code: 'EISDIR' });
+    await assert.rejects(store.update('a', { status: 'delivered' }), { code: 'EISDIR' });
+
+    assert.equal(await store.get('b'), null);
+    assert.equal((await store.get('a')).status, 'processing');
+    assert.equal(await store.count(), 1);
+});
+
+test('file opt-out store records an opt-out only once it is on disk', async t => {
+    silenceErrors(t);
+    const filePath = path.join(tempDir(t), 'opt-outs.ndjson');
+    const env = { EVENT_STORE: 'file', OPT_OUT_STORE_FILE: filePath };
+    const optOut = (eventId, mobileNumber, value) => ({
+        eventId,
+        tenant: 'default',
+        mobileNumber,
+        optOut: value,
+        keyword: { rule: 'stop', keyword: 'STOP', locale: 'en' }
+    });
+
+    const store = createOptOutStore(env);
+    await store.init();
+    await store.record(optOut('e1', '+1 555 123 0001', true));
+    await store.record(optOut('e2', '15551230002', true));
+    // Same number, other formatting: opts back in
+    await store.record(optOut('e3', '1-555-123-0002', false));
+
+    breakFile(filePath);
+    await assert.rejects(store.record(optOut('e4', '15551230003', true)), { code: 'EISDIR' });
+    assert.deepEqual((await store.list()).map(entry => entry.eventId), ['e1']);
+    assert.equal(await store.count(), 2);
+
+    // The file starts again with the next entry; the ones before went with the broken file
+    fs.rmdirSync(filePath);
+    await store.record(optOut('e5', '15551230004', true));
+    await store.close();
+
+    const reloaded = createOptOutStore(env);
+    await reloaded.init();
+    assert.deepEqual((await reloaded.list()).map(entry => entry.eventId), ['e5']);
+});
@@ -0,0 +1,114 @@
+const net = require('net');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+// --- App Under Test ---
+// Starts index.js in a child process on a free port, with its data in a
+// temporary directory and only the settings a test gives it (no .env, no
+// Salesforce). ENS callbacks are signed with SIGNATURE_KEY.
+
+const INDEX = path.join(__dirname, '..', '..', 'index.js');
+const SIGNATURE_KEY = Buffer.from('test-signature-key').toString('base64');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function makeDataDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'ens-monitor-test-'));
+}
+
+// Resolves with { url, dataDir, journalDir, output(), post(path, body, headers), stop() }
+async function startApp(settings = {}, { dataDir = makeDataDir() } = {}) {
+    const port = await freePort();
+    const journalDir = path.join(dataDir, 'journal');
+    const env = Object.assign({
+        PATH: process.env.PATH,
+        PORT: String(port),
+        ENS_SIGNATURE_KEY: SIGNATURE_KEY,
+        INTAKE_JOURNAL_DIR: journalDir,
+        EVENT_STORE_FILE: path.join(dataDir, 'events.ndjson'),
+        OPT_OUT_STORE_FILE: path.join(dataDir, 'opt-outs.ndjson'),
+        SF_BATCH_WINDOW_MS: '0'
+    }, settings);
+    const child = spawn(process.execPath, [INDEX], { cwd: dataDir, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', chunk => {
+        output += chunk;
+    });
+    child.stderr.on('data', chunk => {
+        output += chunk;
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`App did not start:\n${output}`)), 15000);
+        const check = () => {
+            if (output.includes('ENS Handler listening')) {
+                clearTimeout(timer);
+                child.stdout.off('data', check);
+                resolve();
+            }
+        };
+        child.stdout.on('data', check);
+        exited.then(code => {
+            clearTimeout(timer);
+            reject(new Error(`App exited with ${code}:\n${output}`));
+        });
+    });
+
+    const url = `http://127.0.0.1:${port}`;
+    return {
+        url,
+        dataDir,
+        journalDir,
+        output: () => output,
+        // Signed like Marketing Cloud signs ENS callbacks
+        postCallback(body, callbackPath = '/ens/callback') {
+            const raw = JSON.stringify(body);
+            const signature = crypto.createHmac('sha256', Buffer.from(SIGNATURE_KEY, 'base64')).update(raw).digest('base64');
+            return fetch(`${url}${callbackPath}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-sfmc-ens-signature': signature },
+                body: raw
+            });
+        },
+        async stop() {
+            if (child.exitCode === null) {
+                child.kill('SIGTERM');
+                await exited;
+            }
+        }
+    };
+}
+
+// Polls `check` until it returns something truthy
+async function waitFor(check, { timeoutMs = 10000, intervalMs = 50 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = {
+    makeDataDir,
+    startApp,
+    waitFor
+};
@@ -0,0 +1,150 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// --- Mock Marketing Cloud ---
+// Local stand-in for the Marketing Cloud token endpoint and the ENS REST API,
+// for MC_AUTH_BASE_URL and MC_REST_BASE_URL in tests. Callbacks and
+// subscriptions are kept in memory and every request is recorded.
+//
+// Accepts client ID "test-client" with secret "test-secret".
+
+const CLIENT_ID = 'test-client';
+const CLIENT_SECRET = 'test-secret';
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : undefined);
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Resolves with { url, env, requests, callbacks, subscriptions, close() }
+function startMockMarketingCloud() {
+    const callbacks = new Map();
+    const subscriptions = new Map();
+    const requests = [];
+    const tokens = new Set();
+    let url;
+
+    async function handle(req, res) {
+        const body = await readJson(req);
+        const { pathname } = new URL(req.url, url);
+        requests.push({ method: req.method, path: pathname, body });
+
+        if (req.method === 'POST' && pathname === '/v2/token') {
+            if (!body || body.client_id !== CLIENT_ID || body.client_secret !== CLIENT_SECRET) {
+                return send(res, 401, { error: 'invalid_client', error_description: 'Client authentication failed.' });
+            }
+            const token = `token-${tokens.size + 1}`;
+            tokens.add(token);
+            return send(res, 200, { access_token: token, expires_in: 1080, rest_instance_url: `${url}/` });
+        }
+
+        if (!tokens.has((req.headers.authorization || '').replace(/^Bearer /, ''))) {
+            return send(res, 401, { message: 'Not Authorized' });
+        }
+
+        let match;
+        if (pathname === '/platform/v1/ens-callbacks') {
+            if (req.method === 'GET') {
+                return send(res, 200, Array.from(callbacks.values()).map(({ verificationKey, signatureKey, ...callback }) => callback));
+            }
+            if (req.method === 'POST') {
+                const created = body.map(({ callbackName, url: callbackUrl, maxBatchSize }) => {
+                    const callback = {
+                        callbackId: crypto.randomUUID(),
+                        callbackName,
+                        url: callbackUrl,
+                        maxBatchSize,
+                        status: 'unverified',
+                        signatureKey: crypto.randomBytes(32).toString('base64'),
+                        verificationKey: crypto.randomBytes(16).toString('hex')
+                    };
+                    callbacks.set(callback.callbackId, callback);
+                    const { verificationKey, ...shown } = callback;
+                    return shown;
+                });
+                return send(res, 201, created);
+            }
+        }
+        if ((match = pathname.match(/^\/platform\/v1\/ens-callbacks\/([^/]+)$/)) && req.method === 'DELETE') {
+            const callbackId = decodeURIComponent(match[1]);
+            if (!callbacks.delete(callbackId)) {
+                return send(res, 404, { message: `Callback ${callbackId} not found` });
+            }
+            return send(res, 200, {});
+        }
+        if (pathname === '/platform/v1/ens-verify' && req.method === 'POST') {
+            const callback = callbacks.get(body.callbackId);
+            if (!callback || callback.verificationKey !== body.verificationKey) {
+                return send(res, 400, { message: 'Invalid verification key' });
+            }
+            callback.status = 'verified';
+            return send(res, 200, { callbackId: callback.callbackId, status: 'verified' });
+        }
+        if ((match = pathname.match(/^\/platform\/v1\/ens-subscriptions-by-cb\/([^/]+)$/)) && req.method === 'GET') {
+            const callbackId = decodeURIComponent(match[1]);
+            return send(res, 200, Array.from(subscriptions.values()).filter(s => s.callbackId === callbackId));
+        }
+        if (pathname === '/platform/v1/ens-subscriptions') {
+            if (req.method === 'POST') {
+                const created = body.map(({ subscriptionName, callbackId, eventCategoryTypes }) => {
+                    const subscription = { subscriptionId: crypto.randomUUID(), subscriptionName, callbackId, eventCategoryTypes, status: 'active' };
+                    subscriptions.set(subscriptionName, subscription);
+                    return subscription;
+                });
+                return send(res, 201, created);
+            }
+            if (req.method === 'PATCH') {
+                const updated = body.map(({ subscriptionName, status }) => Object.assign(subscriptions.get(subscriptionName) || {}, { status }));
+                return send(res, 200, updated);
+            }
+        }
+        if ((match = pathname.match(/^\/platform\/v1\/ens-subscriptions\/([^/]+)$/)) && req.method === 'DELETE') {
+            const name = decodeURIComponent(match[1]);
+            if (!subscriptions.delete(name)) {
+                return send(res, 404, { message: `Subscription ${name} not found` });
+            }
+            return send(res, 200, {});
+        }
+
+        send(res, 404, { message: `No mock for ${req.method} ${pathname}` });
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => send(res, 500, { message: error.message }));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                url,
+                // Settings for createMarketingCloudClient() and the app
+                env: { MC_AUTH_BASE_URL: url, MC_CLIENT_ID: CLIENT_ID, MC_CLIENT_SECRET: CLIENT_SECRET },
+                requests,
+                callbacks,
+                subscriptions,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = {
+    startMockMarketingCloud
+};